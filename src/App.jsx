@@ -1,13 +1,16 @@
 import React from 'react';
 import { Route, Routes } from 'react-router-dom';
 import HomePage from './pages/HomePage';
+import DatasetsPage from './pages/DatasetsPage';
 
 function App() {
   return (
     <Routes>
       <Route path="" element={<HomePage />} />
+      <Route path="datasets" element={<DatasetsPage />} />
+      <Route path="datasets/:id" element={<HomePage />} />
     </Routes>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,39 @@
+import React, { useRef } from 'react';
+import { parseAoiGeoJson } from '../utils/aoi';
+
+// Reads areas of interest from a GeoJSON file on the user's computer
+const AoiImportButton = ({ onImport, onError }) => {
+  const inputRef = useRef(null);
+
+  const handleChange = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(parseAoiGeoJson(JSON.parse(await file.text())), file.name);
+    } catch (err) {
+      onError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current.click()}
+        title="Import areas of interest from a GeoJSON file"
+        className="px-2 py-1 text-xs rounded-md text-left text-gray-700 hover:bg-gray-100"
+      >
+        Import AOI
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".geojson,.json,application/geo+json,application/json"
+        onChange={handleChange}
+        className="hidden"
+      />
+    </>
+  );
+};
+
+export default AoiImportButton;
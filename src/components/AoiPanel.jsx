@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import Histogram from './Histogram';
+import { formatArea, formatLegendNumber } from '../utils/mapConstants';
+import { toCsv, downloadFile, slugify } from '../utils/exportUtils';
+
+const formatPercent = (fraction) => (fraction === null ? 'N/A' : `${(fraction * 100).toFixed(1)}%`);
+
+const parseThresholds = (text) =>
+  text.split(',').map(part => part.trim()).filter(Boolean).map(Number).filter(Number.isFinite);
+
+// Zonal statistics of every area of interest side by side, the histogram of
+// the selected one, and CSV/JSON export of the lot. Keyed by product, whose
+// thresholds it starts from.
+const AoiPanel = ({
+  aois,
+  selectedId,
+  onSelect,
+  onRemove,
+  onClear,
+  thresholds,
+  onThresholdsChange,
+  visualization,
+  raster,
+}) => {
+  const [thresholdText, setThresholdText] = useState(thresholds.join(', '));
+  const units = visualization.units;
+  const unitSuffix = units ? ` ${units}` : '';
+  const selected = aois.find(aoi => aoi.id === selectedId) || aois[0];
+
+  const handleThresholdText = (e) => {
+    setThresholdText(e.target.value);
+    onThresholdsChange(parseThresholds(e.target.value));
+  };
+
+  const rows = [
+    { label: 'Valid pixels', format: s => `${s.count} / ${s.pixelCount}` },
+    { label: 'Mean', format: s => `${formatLegendNumber(s.mean)}${unitSuffix}` },
+    { label: 'Median', format: s => `${formatLegendNumber(s.median)}${unitSuffix}` },
+    { label: 'Min', format: s => `${formatLegendNumber(s.min)}${unitSuffix}` },
+    { label: 'Max', format: s => `${formatLegendNumber(s.max)}${unitSuffix}` },
+    { label: 'Std. dev.', format: s => `${formatLegendNumber(s.std)}${unitSuffix}` },
+    { label: 'Area', format: s => formatArea(s.area) },
+    { label: 'Valid area', format: s => formatArea(s.validArea) },
+    ...thresholds.map((threshold, i) => ({
+      label: `≤ ${threshold}${unitSuffix}`,
+      format: s => `${formatArea(s.below[i].area)} (${formatPercent(s.below[i].fraction)})`,
+    })),
+  ];
+
+  const fileName = (extension) =>
+    `aoi-statistics-${slugify(visualization.value)}-${slugify(raster?.name)}.${extension}`;
+
+  const handleCsv = () => {
+    const unitLabel = units ? ` (${units})` : '';
+    const columns = [
+      { key: 'name', label: 'name' },
+      { key: 'shape', label: 'shape' },
+      { key: 'pixelCount', label: 'pixels' },
+      { key: 'count', label: 'valid_pixels' },
+      ...['mean', 'median', 'min', 'max', 'std'].map(key => ({ key, label: `${key}${unitLabel}` })),
+      { key: 'area', label: 'area_km2' },
+      { key: 'validArea', label: 'valid_area_km2' },
+      ...thresholds.map((threshold, i) => ({ key: `below${i}`, label: `area_at_or_below_${threshold}_km2` })),
+    ];
+    const csvRows = aois.filter(aoi => aoi.stats).map(({ name, feature, stats }) => ({
+      name,
+      shape: feature.properties.shape,
+      ...stats,
+      area: stats.area / 1e6,
+      validArea: stats.validArea / 1e6,
+      ...Object.fromEntries(stats.below.map((entry, i) => [`below${i}`, entry.area / 1e6])),
+    }));
+    downloadFile(fileName('csv'), toCsv(columns, csvRows));
+  };
+
+  const handleJson = () => {
+    const collection = {
+      type: 'FeatureCollection',
+      features: aois.map(({ name, feature, stats }) => ({
+        ...feature,
+        properties: {
+          ...feature.properties,
+          name,
+          raster: raster?.name,
+          product: visualization.value,
+          units,
+          statistics: stats,
+        },
+      })),
+    };
+    downloadFile(fileName('geojson'), JSON.stringify(collection, null, 2), 'application/geo+json');
+  };
+
+  return (
+    <div className="absolute top-24 left-36 z-[1000] w-[32rem] max-w-[60vw] max-h-[75vh] overflow-auto p-4 bg-white bg-opacity-95 rounded-lg shadow-lg border border-gray-200 text-xs text-gray-700">
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-800">Areas of Interest</h3>
+          <p className="text-gray-500">{visualization.label}{raster ? ` · ${raster.name}` : ''}</p>
+        </div>
+        <button onClick={onClear} className="text-gray-500 hover:text-gray-800" aria-label="Remove all areas of interest">
+          Clear all
+        </button>
+      </div>
+
+      {!raster && <p className="italic text-gray-500 mb-2">Statistics appear once a raster is loaded.</p>}
+      {raster?.level > 0 && (
+        <p className="italic text-gray-500 mb-2">Computed on a reduced-resolution overview of the raster.</p>
+      )}
+
+      <div className="flex items-center gap-2 mb-3">
+        <label htmlFor="aoi-thresholds">Area at or below</label>
+        <input
+          id="aoi-thresholds"
+          type="text"
+          value={thresholdText}
+          onChange={handleThresholdText}
+          placeholder="-5, -10"
+          className="w-28 p-1 border border-gray-300 rounded-md"
+        />
+        <span>{units}</span>
+      </div>
+
+      <table className="w-full mb-3 border-collapse">
+        <thead>
+          <tr>
+            <th />
+            {aois.map(aoi => (
+              <th key={aoi.id} className="px-1 py-1 text-left font-semibold">
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => onSelect(aoi.id)}
+                    className={`flex items-center gap-1 truncate ${aoi.id === selected?.id ? 'underline' : ''}`}
+                  >
+                    <span className="inline-block w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: aoi.color }} />
+                    {aoi.name}
+                  </button>
+                  <button onClick={() => onRemove(aoi.id)} className="text-gray-400 hover:text-gray-800" aria-label={`Remove ${aoi.name}`}>
+                    &times;
+                  </button>
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label} className="border-t border-gray-100">
+              <td className="pr-2 py-0.5 text-gray-500 whitespace-nowrap">{row.label}</td>
+              {aois.map(aoi => (
+                <td key={aoi.id} className="px-1 py-0.5 font-mono">{aoi.stats ? row.format(aoi.stats) : '…'}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected?.stats && (
+        <>
+          <p className="font-semibold text-gray-800">{selected.name} histogram</p>
+          <Histogram
+            histogram={selected.stats.histogram}
+            color={selected.color}
+            markers={thresholds}
+            formatX={formatLegendNumber}
+            xLabel={`${visualization.label}${units ? ` (${units})` : ''}`}
+          />
+        </>
+      )}
+
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={handleCsv}
+          disabled={!raster}
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-400"
+        >
+          Download CSV
+        </button>
+        <button
+          onClick={handleJson}
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+        >
+          Download GeoJSON
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AoiPanel;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { compositeChannels, formatLegendNumber } from '../utils/mapConstants';
+import { describeBand } from '../utils/rasterUtils';
+
+const inputClass = 'w-16 p-0.5 border border-gray-300 rounded';
+
+// Band of a multi-band file to show, or three bands shown as red, green and
+// blue. Each composite channel is stretched on its own: automatically unless
+// a min/max is typed in. `channelRanges` are the stretches in use.
+const BandControl = ({
+  bands,
+  band,
+  onBandChange,
+  compositeBands,
+  onCompositeBandsChange,
+  channelStretch,
+  onChannelStretchChange,
+  channelRanges,
+  loading,
+  error,
+}) => {
+  const bandOptions = bands.map((_, index) => (
+    <option key={index} value={index}>{describeBand(index, bands)}</option>
+  ));
+
+  const handleModeChange = (composite) => {
+    onCompositeBandsChange(composite ? compositeChannels.map((_, i) => Math.min(i, bands.length - 1)) : null);
+  };
+
+  const handleChannelBand = (channel, value) => {
+    onCompositeBandsChange(compositeBands.map((b, i) => (i === channel ? value : b)));
+    onChannelStretchChange(channel, null);
+  };
+
+  const handleChannelStretch = (channel, key, text) => {
+    const range = channelRanges?.[channel];
+    const current = channelStretch[channel] || { min: range?.min ?? '', max: range?.max ?? '' };
+    onChannelStretchChange(channel, { ...current, [key]: text === '' ? '' : parseFloat(text) });
+  };
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200 text-xs text-gray-700 space-y-2">
+      <div className="text-sm font-semibold text-gray-800">Bands ({bands.length})</div>
+
+      <div className="flex gap-3">
+        <label className="flex items-center gap-1">
+          <input type="radio" name="band-mode" checked={!compositeBands} onChange={() => handleModeChange(false)} />
+          Single band
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="radio" name="band-mode" checked={Boolean(compositeBands)} onChange={() => handleModeChange(true)} />
+          RGB composite
+        </label>
+      </div>
+
+      {!compositeBands && (
+        <select
+          value={band}
+          onChange={e => onBandChange(Number(e.target.value))}
+          className="w-full p-0.5 border border-gray-300 rounded"
+        >
+          {bandOptions}
+        </select>
+      )}
+
+      {compositeBands && (
+        <>
+          {compositeChannels.map((channel, i) => (
+            <div key={channel.label} className="flex items-center gap-1">
+              <span className="w-3 font-semibold" style={{ color: channel.color }}>{channel.label}</span>
+              <select
+                value={compositeBands[i]}
+                onChange={e => handleChannelBand(i, Number(e.target.value))}
+                className="flex-1 min-w-0 p-0.5 border border-gray-300 rounded"
+              >
+                {bandOptions}
+              </select>
+              <input
+                type="number"
+                aria-label={`${channel.label} minimum`}
+                value={channelStretch[i]?.min ?? ''}
+                placeholder={channelRanges ? formatLegendNumber(channelRanges[i].min) : ''}
+                onChange={e => handleChannelStretch(i, 'min', e.target.value)}
+                className={inputClass}
+              />
+              <input
+                type="number"
+                aria-label={`${channel.label} maximum`}
+                value={channelStretch[i]?.max ?? ''}
+                placeholder={channelRanges ? formatLegendNumber(channelRanges[i].max) : ''}
+                onChange={e => handleChannelStretch(i, 'max', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+          <button
+            onClick={() => compositeChannels.forEach((_, i) => onChannelStretchChange(i, null))}
+            disabled={channelStretch.every(entry => !entry)}
+            className="w-full px-2 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:text-gray-400 disabled:hover:bg-transparent"
+          >
+            Automatic stretch (2–98%)
+          </button>
+        </>
+      )}
+
+      {loading && <p className="text-gray-500">Loading bands&hellip;</p>}
+      {error && <p className="text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default BandControl;
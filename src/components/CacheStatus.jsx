@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from 'react';
+import { clearCache, getCacheUsage, MAX_CACHE_BYTES } from '../utils/dataCache';
+
+const ORIGIN_STYLES = {
+  cache: { label: 'cache', className: 'bg-green-100 text-green-800' },
+  network: { label: 'network', className: 'bg-blue-100 text-blue-800' },
+  local: { label: 'local file', className: 'bg-purple-100 text-purple-800' },
+};
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+const OriginBadge = ({ name, origin }) => {
+  const style = ORIGIN_STYLES[origin];
+  if (!style) return null;
+  return (
+    <span className={`px-1.5 py-0.5 rounded ${style.className}`} title={`${name} loaded from the ${style.label}`}>
+      {name}: {style.label}
+    </span>
+  );
+};
+
+// Where the dataset metadata and the current raster came from, how much the
+// persistent cache holds, and a button to empty it
+const CacheStatus = ({ metadataOrigin, rasterOrigin, offline }) => {
+  const [usage, setUsage] = useState(null);
+  const [clearing, setClearing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getCacheUsage().then((result) => {
+      if (!cancelled) setUsage(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [metadataOrigin, rasterOrigin]);
+
+  const handleClear = async () => {
+    setClearing(true);
+    try {
+      await clearCache();
+      setUsage(await getCacheUsage());
+    } catch (err) {
+      console.error('Error clearing the cache:', err);
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-700">
+      {offline && (
+        <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800" title="CKAN could not be reached">
+          offline
+        </span>
+      )}
+      <OriginBadge name="Metadata" origin={metadataOrigin} />
+      <OriginBadge name="Raster" origin={rasterOrigin} />
+      <button
+        onClick={handleClear}
+        disabled={clearing || usage?.count === 0}
+        className="px-2 py-0.5 border border-gray-300 rounded-md hover:bg-gray-100 disabled:text-gray-400"
+        title={usage ? `${formatMegabytes(usage.bytes)} of ${formatMegabytes(MAX_CACHE_BYTES)} in ${usage.count} entries` : undefined}
+      >
+        {clearing ? 'Clearing...' : 'Clear cache'}
+      </button>
+    </div>
+  );
+};
+
+export default CacheStatus;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { colormaps, colormapTypes } from '../utils/mapConstants';
+
+const ColormapControl = ({ colormap, onChange }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const definition = colormaps[colormap.name];
+  const isQualitative = definition?.type === 'qualitative';
+
+  const update = (changes) => onChange({ ...colormap, ...changes });
+
+  const handleNameChange = (e) => {
+    const name = e.target.value;
+    // Qualitative ramps have no in-between colours, so they are always classed
+    if (colormaps[name].type === 'qualitative') {
+      update({ name, mode: 'classed', classes: colormaps[name].colors.length });
+    } else {
+      update({ name });
+    }
+  };
+
+  const stops = definition ? [...definition.colors] : [];
+  if (colormap.reversed) stops.reverse();
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex justify-between items-center text-sm font-semibold text-gray-800"
+        aria-expanded={isOpen}
+        aria-controls="colormap-control-body"
+      >
+        Colour Map
+        <span className="text-gray-500">{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div id="colormap-control-body" className="mt-3 space-y-3 text-xs text-gray-700">
+          <div>
+            <label htmlFor="colormap-name" className="block font-medium mb-1">Ramp</label>
+            <select
+              id="colormap-name"
+              value={colormap.name}
+              onChange={handleNameChange}
+              className="w-full p-1 border border-gray-300 rounded-md text-sm"
+            >
+              {colormapTypes.map(type => (
+                <optgroup key={type.value} label={type.label}>
+                  {Object.entries(colormaps)
+                    .filter(([, map]) => map.type === type.value)
+                    .map(([name, map]) => (
+                      <option key={name} value={name}>{map.label}</option>
+                    ))}
+                </optgroup>
+              ))}
+            </select>
+            <div
+              className="h-3 mt-2 rounded-sm border border-gray-300"
+              style={{ background: `linear-gradient(to right, ${stops.join(', ')})` }}
+            />
+          </div>
+
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="colormap-mode"
+                checked={colormap.mode === 'continuous' && !isQualitative}
+                disabled={isQualitative}
+                onChange={() => update({ mode: 'continuous' })}
+              />
+              Continuous
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="colormap-mode"
+                checked={colormap.mode === 'classed' || isQualitative}
+                onChange={() => update({ mode: 'classed' })}
+              />
+              Classed
+            </label>
+          </div>
+
+          {(colormap.mode === 'classed' || isQualitative) && (
+            <div className="flex items-center gap-2">
+              <label htmlFor="colormap-classes">Classes</label>
+              <input
+                id="colormap-classes"
+                type="number"
+                min={2}
+                max={20}
+                value={colormap.classes}
+                onChange={(e) => update({ classes: Math.max(2, Math.min(20, parseInt(e.target.value, 10) || 2)) })}
+                className="w-16 p-1 border border-gray-300 rounded-md text-xs"
+              />
+            </div>
+          )}
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={colormap.reversed}
+              onChange={(e) => update({ reversed: e.target.checked })}
+            />
+            Reverse ramp
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColormapControl;
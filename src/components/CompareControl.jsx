@@ -0,0 +1,94 @@
+import React from 'react';
+import { formatArea, formatLegendNumber } from '../utils/mapConstants';
+
+const RasterSelect = ({ id, label, value, frames, onChange }) => (
+  <div>
+    <label htmlFor={id} className="block font-medium mb-1">{label}</label>
+    <select
+      id={id}
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full p-1 border border-gray-300 rounded-md text-xs"
+    >
+      {frames.map(frame => (
+        <option key={frame.resource.id} value={frame.resource.id}>
+          {frame.date ? `${frame.date.toISOString().slice(0, 10)} · ` : ''}{frame.resource.displayName}{frame.resource.local ? ' (local)' : ''}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+// Picks the two rasters of a comparison; the difference summary is optional
+const CompareControl = ({
+  title,
+  frames,
+  selection,
+  onSelectionChange,
+  labels = { a: 'Raster A', b: 'Raster B' },
+  threshold,
+  onThresholdChange,
+  summary,
+  units,
+  loading,
+}) => {
+  const unitSuffix = units ? ` ${units}` : '';
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200 text-xs text-gray-700 space-y-2">
+      <h3 className="text-sm font-semibold text-gray-800">{title}</h3>
+
+      <RasterSelect
+        id="compare-raster-a"
+        label={labels.a}
+        value={selection.a}
+        frames={frames}
+        onChange={(a) => onSelectionChange({ ...selection, a })}
+      />
+      <RasterSelect
+        id="compare-raster-b"
+        label={labels.b}
+        value={selection.b}
+        frames={frames}
+        onChange={(b) => onSelectionChange({ ...selection, b })}
+      />
+      <button
+        onClick={() => onSelectionChange({ a: selection.b, b: selection.a })}
+        className="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-100"
+      >
+        Swap A and B
+      </button>
+
+      {loading && <p className="italic text-gray-500">Loading rasters&hellip;</p>}
+
+      {onThresholdChange && (
+        <div className="flex items-center gap-2 pt-2 border-t border-gray-200">
+          <label htmlFor="difference-threshold">Change threshold ±</label>
+          <input
+            id="difference-threshold"
+            type="number"
+            min={0}
+            step="any"
+            value={threshold}
+            onChange={(e) => onThresholdChange(e.target.value === '' ? '' : parseFloat(e.target.value))}
+            className="w-20 p-1 border border-gray-300 rounded-md text-xs"
+          />
+          <span>{units}</span>
+        </div>
+      )}
+
+      {summary && summary.count > 0 && (
+        <div className="grid grid-cols-2 gap-1 text-gray-600">
+          <span>Mean: {formatLegendNumber(summary.mean)}{unitSuffix}</span>
+          <span>Min: {formatLegendNumber(summary.min)}{unitSuffix}</span>
+          <span>Max: {formatLegendNumber(summary.max)}{unitSuffix}</span>
+          <span>Valid: {formatArea(summary.validArea)}</span>
+          <span>Increase: {formatArea(summary.increaseArea)}</span>
+          <span>Decrease: {formatArea(summary.decreaseArea)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompareControl;
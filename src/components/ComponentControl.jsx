@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { displacementComponents, incidenceSources } from '../utils/mapConstants';
+
+// Line-of-sight or vertical component of a LOS product, and where the
+// incidence angle for the conversion comes from. Sources that this dataset
+// cannot provide are disabled.
+const ComponentControl = ({
+  component,
+  onComponentChange,
+  source,
+  onSourceChange,
+  angle,
+  onAngleChange,
+  metadataAngle,
+  incidenceRasters,
+  incidenceRasterId,
+  onIncidenceRasterChange,
+  loading,
+  error,
+  unavailable,
+}) => {
+  const [angleText, setAngleText] = useState(String(angle));
+
+  const handleAngle = (e) => {
+    setAngleText(e.target.value);
+    onAngleChange(parseFloat(e.target.value));
+  };
+
+  const isSourceAvailable = (value) =>
+    value === 'constant' ||
+    (value === 'metadata' && metadataAngle !== null) ||
+    (value === 'raster' && incidenceRasters.length > 0);
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200 text-xs text-gray-700 space-y-2">
+      <div className="text-sm font-semibold text-gray-800">Component</div>
+
+      <div className="flex gap-3">
+        {displacementComponents.map(option => (
+          <label key={option.value} className="flex items-center gap-1">
+            <input
+              type="radio"
+              name="displacement-component"
+              value={option.value}
+              checked={component === option.value}
+              onChange={() => onComponentChange(option.value)}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+
+      {component === 'vertical' && (
+        <>
+          <label className="flex items-center justify-between gap-2">
+            <span>Incidence θ</span>
+            <select
+              value={source}
+              onChange={e => onSourceChange(e.target.value)}
+              className="p-0.5 border border-gray-300 rounded"
+            >
+              {incidenceSources.map(option => (
+                <option key={option.value} value={option.value} disabled={!isSourceAvailable(option.value)}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {source === 'constant' && (
+            <label className="flex items-center justify-between gap-2">
+              <span>Angle (°)</span>
+              <input
+                type="number"
+                min="1"
+                max="89"
+                step="0.1"
+                value={angleText}
+                onChange={handleAngle}
+                className="w-20 p-0.5 border border-gray-300 rounded"
+              />
+            </label>
+          )}
+          {source === 'metadata' && metadataAngle !== null && (
+            <p className="text-gray-500">θ = {metadataAngle}° from the dataset metadata</p>
+          )}
+          {source === 'raster' && incidenceRasters.length > 1 && (
+            <select
+              value={incidenceRasterId || ''}
+              onChange={e => onIncidenceRasterChange(e.target.value)}
+              className="w-full p-0.5 border border-gray-300 rounded"
+            >
+              {incidenceRasters.map(resource => (
+                <option key={resource.id} value={resource.id}>{resource.displayName}</option>
+              ))}
+            </select>
+          )}
+          {source === 'raster' && incidenceRasters.length === 1 && (
+            <p className="text-gray-500">θ per pixel from {incidenceRasters[0].displayName}</p>
+          )}
+
+          {loading && <p className="text-gray-500">Loading incidence angles&hellip;</p>}
+          {error && <p className="text-red-700">{error}</p>}
+          {unavailable && !loading && !error && (
+            <p className="text-amber-700">No valid incidence angle; showing line of sight.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComponentControl;
@@ -0,0 +1,38 @@
+import React, { useEffect, useState } from 'react';
+
+const CONFIRMATION_MS = 2000;
+
+// Copies the address of the current view. `search` is the view's query string,
+// which the address bar can lag behind while a change settles.
+const CopyLinkButton = ({ search }) => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!status) return undefined;
+    const timer = setTimeout(() => setStatus(null), CONFIRMATION_MS);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleClick = async () => {
+    try {
+      const { origin, pathname, hash } = window.location;
+      await navigator.clipboard.writeText(`${origin}${pathname}${search}${hash}`);
+      setStatus('copied');
+    } catch (err) {
+      console.error('Error copying the link:', err);
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded hover:bg-gray-100"
+      title="Copy a link to this view"
+    >
+      {status === 'copied' ? 'Copied!' : status === 'failed' ? 'Copy failed' : 'Copy link'}
+    </button>
+  );
+};
+
+export default CopyLinkButton;
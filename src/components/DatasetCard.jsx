@@ -0,0 +1,67 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { getSourceSearch } from '../dataSources';
+import { isTiffResource } from '../dataSources/resources';
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : 'N/A');
+
+const MAX_NOTES_LENGTH = 240;
+
+// One CKAN package of the search results. Packages without a GeoTIFF can be
+// listed but not opened on the map.
+const DatasetCard = ({ dataset }) => {
+  const location = useLocation();
+  const resources = dataset.resources || [];
+  const tiffCount = resources.filter(isTiffResource).length;
+  const formats = [...new Set(resources.map(r => r.format?.toUpperCase()).filter(Boolean))].sort();
+  const notes = dataset.notes || '';
+
+  return (
+    <article className="p-4 bg-white rounded-lg shadow border border-gray-200 flex flex-col gap-2">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-800">{dataset.title || dataset.name}</h2>
+        {dataset.organization && (
+          <p className="text-xs text-gray-500">{dataset.organization.title || dataset.organization.name}</p>
+        )}
+      </div>
+
+      {notes && (
+        <p className="text-sm text-gray-600">
+          {notes.length > MAX_NOTES_LENGTH ? `${notes.slice(0, MAX_NOTES_LENGTH)}…` : notes}
+        </p>
+      )}
+
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-700">
+        <dt className="text-gray-500">Resources</dt>
+        <dd>{resources.length} ({tiffCount} GeoTIFF)</dd>
+        <dt className="text-gray-500">Created</dt>
+        <dd>{formatDate(dataset.metadata_created)}</dd>
+        <dt className="text-gray-500">Modified</dt>
+        <dd>{formatDate(dataset.metadata_modified)}</dd>
+      </dl>
+
+      {formats.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {formats.map(format => (
+            <span key={format} className="px-1.5 py-0.5 text-xs bg-gray-100 text-gray-700 rounded">{format}</span>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-auto pt-2">
+        {tiffCount > 0 ? (
+          <Link
+            to={`/datasets/${encodeURIComponent(dataset.name)}${getSourceSearch(location.search, { keepPackage: false })}`}
+            className="inline-block px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600"
+          >
+            Open on map
+          </Link>
+        ) : (
+          <span className="text-xs text-gray-500 italic">No GeoTIFF resources to map</span>
+        )}
+      </div>
+    </article>
+  );
+};
+
+export default DatasetCard;
@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { createBaseLayer } from '../utils/rasterOverlay';
+
+const GULF_COAST_VIEW = { center: [29.5, -92], zoom: 5 };
+
+const toBbox = (bounds) => [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+
+// Small map whose visible extent is the spatial filter of the dataset search.
+// While `enabled`, every pan or zoom reports [west, south, east, north].
+const ExtentFilterMap = ({ bbox, enabled, onChange }) => {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const bboxRef = useRef(bbox);
+  const enabledRef = useRef(enabled);
+  const onChangeRef = useRef(onChange);
+
+  bboxRef.current = bbox;
+  enabledRef.current = enabled;
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    const map = L.map(containerRef.current);
+    createBaseLayer().addTo(map);
+    // Opens on the filtered extent of a shared search link
+    const initial = bboxRef.current;
+    if (initial) {
+      map.fitBounds([[initial[1], initial[0]], [initial[3], initial[2]]]);
+    } else {
+      map.setView(GULF_COAST_VIEW.center, GULF_COAST_VIEW.zoom);
+    }
+    mapRef.current = map;
+
+    const handleMoveEnd = () => {
+      if (enabledRef.current) onChangeRef.current(toBbox(map.getBounds()));
+    };
+    map.on('moveend', handleMoveEnd);
+
+    return () => {
+      map.off('moveend', handleMoveEnd);
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Turning the filter on takes the extent currently shown
+  useEffect(() => {
+    if (enabled && !bboxRef.current && mapRef.current) {
+      onChangeRef.current(toBbox(mapRef.current.getBounds()));
+    }
+  }, [enabled]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`h-48 w-full rounded border ${enabled ? 'border-blue-400' : 'border-gray-300'}`}
+    />
+  );
+};
+
+export default ExtentFilterMap;
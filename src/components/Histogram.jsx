@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+const MARGIN = { top: 8, right: 12, bottom: 28, left: 44 };
+
+// Dependency-free SVG histogram of { min, width, counts } with optional
+// vertical marker lines (e.g. thresholds) at `markers` values
+const Histogram = ({
+  histogram,
+  width = 420,
+  height = 150,
+  color = '#7C3AED',
+  markers = [],
+  formatX = (x) => x,
+  xLabel,
+}) => {
+  const [hoverBin, setHoverBin] = useState(null);
+
+  if (!histogram) {
+    return <p className="text-xs text-gray-500 italic">No valid pixels in this area.</p>;
+  }
+
+  const innerWidth = width - MARGIN.left - MARGIN.right;
+  const innerHeight = height - MARGIN.top - MARGIN.bottom;
+  const { min, counts } = histogram;
+  const max = min + histogram.width * counts.length;
+  const peak = Math.max(...counts);
+  const barWidth = innerWidth / counts.length;
+  const xScale = (x) => ((x - min) / (max - min)) * innerWidth;
+  const yScale = (count) => innerHeight - (count / peak) * innerHeight;
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map(t => min + (max - min) * t);
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto select-none" role="img" aria-label="Histogram">
+        <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+          {counts.map((count, i) => (
+            <rect
+              key={i}
+              x={i * barWidth + 0.5}
+              y={yScale(count)}
+              width={Math.max(0, barWidth - 1)}
+              height={innerHeight - yScale(count)}
+              fill={color}
+              opacity={hoverBin === i ? 1 : 0.75}
+              onMouseEnter={() => setHoverBin(i)}
+              onMouseLeave={() => setHoverBin(null)}
+            />
+          ))}
+          {markers
+            .filter(value => value >= min && value <= max)
+            .map(value => (
+              <line key={value} x1={xScale(value)} x2={xScale(value)} y2={innerHeight} stroke="#DC2626" strokeDasharray="3 2" />
+            ))}
+          <line y1={innerHeight} x2={innerWidth} y2={innerHeight} stroke="#9ca3af" />
+          <line y2={innerHeight} stroke="#9ca3af" />
+          <text x={-6} y={0} dy="0.32em" textAnchor="end" fontSize="10" fill="#6b7280">{peak}</text>
+          <text x={-6} y={innerHeight} textAnchor="end" fontSize="10" fill="#6b7280">0</text>
+          {xTicks.map(tick => (
+            <text key={tick} x={xScale(tick)} y={innerHeight + 12} textAnchor="middle" fontSize="10" fill="#6b7280">
+              {formatX(tick)}
+            </text>
+          ))}
+          {xLabel && (
+            <text x={innerWidth / 2} y={innerHeight + 25} textAnchor="middle" fontSize="10" fill="#374151">{xLabel}</text>
+          )}
+        </g>
+      </svg>
+
+      {hoverBin !== null && (
+        <div className="absolute top-1 right-2 px-2 py-1 bg-white bg-opacity-90 border border-gray-200 rounded text-xs text-gray-700 pointer-events-none">
+          {formatX(min + hoverBin * histogram.width)} – {formatX(min + (hoverBin + 1) * histogram.width)}: {counts[hoverBin]} px
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Histogram;
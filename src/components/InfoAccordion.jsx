@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React from 'react';
 import visualizationInfo from '../data/visualizationInfo.json';
 
 // Self-contained SVG icon components for clarity and reuse
@@ -14,11 +14,24 @@ const CloseIcon = () => (
   </svg>
 );
 
-const InfoAccordion = ({ visualizationType, isPanelOpen, onToggle }) => {
+const formatDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? value : date.toLocaleDateString();
+};
+
+const SectionHeading = ({ children }) => (
+  <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-1">{children}</h3>
+);
+
+const InfoAccordion = ({ visualizationType, isPanelOpen, onToggle, datasetInfo, selectedRaster }) => {
   const info = visualizationInfo[visualizationType];
 
   if (!info) return null;
 
+  const tags = datasetInfo?.tags || [];
+  const license = datasetInfo?.license_title || datasetInfo?.license_id;
+
   return (
     <>
       {/* Hamburger button to open the panel. Only visible when panel is closed. */}
@@ -61,7 +74,7 @@ const InfoAccordion = ({ visualizationType, isPanelOpen, onToggle }) => {
             
             {info.formula && (
               <div>
-                <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-1">Formula</h3>
+                <SectionHeading>Formula</SectionHeading>
                 <p className="text-sm font-mono bg-gray-100 p-3 rounded-md text-gray-800">{info.formula}</p>
                 {info.note && (
                   <p className="text-xs text-gray-600 italic mt-2">{info.note}</p>
@@ -71,11 +84,11 @@ const InfoAccordion = ({ visualizationType, isPanelOpen, onToggle }) => {
 
             {info.variables && (
               <div>
-                <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-1">Variables</h3>
+                <SectionHeading>Variables</SectionHeading>
                 <ul className="text-sm list-none space-y-2 bg-gray-50 p-3 rounded-md">
                   {Object.entries(info.variables).map(([key, value]) => (
                     <li key={key} className="flex">
-                      <strong className="font-mono w-12 flex-shrink-0">{key}:</strong>
+                      <strong className="font-mono w-16 flex-shrink-0">{key}:</strong>
                       <span>{value}</span>
                     </li>
                   ))}
@@ -85,7 +98,7 @@ const InfoAccordion = ({ visualizationType, isPanelOpen, onToggle }) => {
 
             {info.dataSources && info.dataSources.length > 0 && (
               <div>
-                <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-1">Data Sources</h3>
+                <SectionHeading>Data Sources</SectionHeading>
                 <ul className="text-sm list-none space-y-1">
                   {info.dataSources.map((source) => (
                     <li key={source.name}>
@@ -97,6 +110,88 @@ const InfoAccordion = ({ visualizationType, isPanelOpen, onToggle }) => {
                 </ul>
               </div>
             )}
+
+            {info.processingNotes && info.processingNotes.length > 0 && (
+              <div>
+                <SectionHeading>Processing Notes</SectionHeading>
+                <ul className="text-sm list-disc pl-5 space-y-1">
+                  {info.processingNotes.map((note) => (
+                    <li key={note}>{note}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {info.sensor && (
+              <div>
+                <SectionHeading>Sensor &amp; Orbit</SectionHeading>
+                <dl className="text-sm grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 bg-gray-50 p-3 rounded-md">
+                  {Object.entries(info.sensor).map(([key, value]) => (
+                    <React.Fragment key={key}>
+                      <dt className="font-semibold">{key}</dt>
+                      <dd>{value}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </div>
+            )}
+
+            {selectedRaster && (
+              <div className="pt-4 border-t border-gray-200">
+                <SectionHeading>Selected Resource</SectionHeading>
+                <p className="text-sm font-semibold text-gray-900 break-words">{selectedRaster.displayName}</p>
+                {selectedRaster.description && (
+                  <p className="text-sm mt-1">{selectedRaster.description}</p>
+                )}
+                <dl className="text-sm grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 mt-2">
+                  {selectedRaster.created && (
+                    <>
+                      <dt className="font-semibold">Created</dt>
+                      <dd>{formatDate(selectedRaster.created)}</dd>
+                    </>
+                  )}
+                  {selectedRaster.last_modified && (
+                    <>
+                      <dt className="font-semibold">Modified</dt>
+                      <dd>{formatDate(selectedRaster.last_modified)}</dd>
+                    </>
+                  )}
+                  {selectedRaster.format && (
+                    <>
+                      <dt className="font-semibold">Format</dt>
+                      <dd>{selectedRaster.format}</dd>
+                    </>
+                  )}
+                  {selectedRaster.local && (
+                    <>
+                      <dt className="font-semibold">Source</dt>
+                      <dd>Local file, read in the browser only</dd>
+                    </>
+                  )}
+                  {license && !selectedRaster.local && (
+                    <>
+                      <dt className="font-semibold">License</dt>
+                      <dd>
+                        {datasetInfo.license_url ? (
+                          <a href={datasetInfo.license_url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                            {license}
+                          </a>
+                        ) : license}
+                      </dd>
+                    </>
+                  )}
+                </dl>
+                {tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-3">
+                    {tags.map((tag) => (
+                      <span key={tag.id || tag.name} className="px-2 py-0.5 text-xs bg-gray-100 text-gray-700 rounded-full">
+                        {tag.display_name || tag.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
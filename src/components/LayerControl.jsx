@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { blendModes } from '../utils/mapConstants';
+
+// Basemap choice plus opacity and blending of the InSAR overlay. Opacity and
+// blending are applied to the overlay as a whole, so they change instantly.
+const LayerControl = ({ basemaps, basemapId, onBasemapChange, opacity, onOpacityChange, blendMode, onBlendModeChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex justify-between items-center text-sm font-semibold text-gray-800"
+        aria-expanded={isOpen}
+        aria-controls="layer-control-body"
+      >
+        Layers
+        <span className="text-gray-500">{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div id="layer-control-body" className="mt-3 space-y-3 text-xs text-gray-700">
+          <fieldset>
+            <legend className="font-medium mb-1">Basemap</legend>
+            {basemaps.map(basemap => (
+              <label key={basemap.id} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="basemap"
+                  value={basemap.id}
+                  checked={basemap.id === basemapId}
+                  onChange={() => onBasemapChange(basemap.id)}
+                />
+                {basemap.label || basemap.id}
+              </label>
+            ))}
+          </fieldset>
+
+          <div>
+            <label htmlFor="overlay-opacity" className="flex justify-between font-medium mb-1">
+              <span>Overlay opacity</span>
+              <span className="font-mono">{Math.round(opacity * 100)}%</span>
+            </label>
+            <input
+              id="overlay-opacity"
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={opacity}
+              onChange={(e) => onOpacityChange(Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="overlay-blend" className="block font-medium mb-1">Blend</label>
+            <select
+              id="overlay-blend"
+              value={blendMode}
+              onChange={(e) => onBlendModeChange(e.target.value)}
+              className="w-full p-1 border border-gray-300 rounded-md text-sm"
+            >
+              {blendModes.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayerControl;
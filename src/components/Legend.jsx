@@ -36,6 +36,26 @@ const Legend = ({ config }) => {
     <div className="absolute bottom-4 right-4 z-[1000] p-4 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200 max-w-xs">
       <h3 className="text-sm font-semibold mb-3 text-gray-800">{legendConfig.title}</h3>
       
+      {legendConfig.gradient && (
+        <div className="mb-1">
+          <div
+            className="h-4 w-56 rounded-sm border border-gray-300"
+            style={{ background: legendConfig.gradient }}
+          />
+          <div className="relative h-4 w-56 mt-1">
+            {legendConfig.ticks.map((tick, index) => (
+              <span
+                key={`${tick.label}-${index}`}
+                className="absolute text-xs text-gray-700 -translate-x-1/2"
+                style={{ left: `${tick.position * 100}%` }}
+              >
+                {tick.label}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       <ul className="space-y-2">
         {legendConfig.ranges.map((item, index) => (
           <li key={`${item.label}-${index}`} className="flex items-start">
@@ -57,7 +77,7 @@ const Legend = ({ config }) => {
       
       <div className="mt-3 pt-2 border-t border-gray-200">
         <p className="text-xs text-gray-500 italic">
-          {legendConfig.description} - Higher numbers indicate higher {legendConfig.visualizationType}
+          {legendConfig.description}
         </p>
       </div>
     </div>
@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+
+const MARGIN = { top: 10, right: 16, bottom: 36, left: 56 };
+
+// Rounded tick values covering [min, max]
+const getNiceTicks = (min, max, count = 5) => {
+  if (min === max) return [min];
+  const rawStep = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep) || rawStep;
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return ticks;
+};
+
+// Splits a series into runs of consecutive valid points so gaps stay gaps
+const toPaths = (points, xScale, yScale) => {
+  const paths = [];
+  let current = '';
+  points.forEach((point) => {
+    if (point.y === null || point.y === undefined || isNaN(point.y)) {
+      if (current) paths.push(current);
+      current = '';
+      return;
+    }
+    current += `${current ? 'L' : 'M'}${xScale(point.x).toFixed(1)},${yScale(point.y).toFixed(1)}`;
+  });
+  if (current) paths.push(current);
+  return paths;
+};
+
+// Small dependency-free SVG line chart. Each series is { name, color, points: [{ x, y }] }
+// with numeric x; `dashed` draws a series as a reference line without markers.
+const LineChart = ({
+  series,
+  width = 520,
+  height = 200,
+  formatX = (x) => x,
+  formatY = (y) => y,
+  xLabel,
+  yLabel,
+  onHover,
+}) => {
+  const [hoverX, setHoverX] = useState(null);
+  const innerWidth = width - MARGIN.left - MARGIN.right;
+  const innerHeight = height - MARGIN.top - MARGIN.bottom;
+
+  const domain = useMemo(() => {
+    const xs = [];
+    const ys = [];
+    series.forEach(s => s.points.forEach((point) => {
+      xs.push(point.x);
+      if (point.y !== null && point.y !== undefined && !isNaN(point.y)) ys.push(point.y);
+    }));
+    if (xs.length === 0 || ys.length === 0) return null;
+    let yMin = Math.min(...ys);
+    let yMax = Math.max(...ys);
+    if (yMin === yMax) {
+      yMin -= 1;
+      yMax += 1;
+    }
+    const pad = (yMax - yMin) * 0.05;
+    return { xMin: Math.min(...xs), xMax: Math.max(...xs), yMin: yMin - pad, yMax: yMax + pad };
+  }, [series]);
+
+  if (!domain) {
+    return <p className="text-xs text-gray-500 italic">No valid values to plot.</p>;
+  }
+
+  const xSpan = domain.xMax - domain.xMin || 1;
+  const xScale = (x) => ((x - domain.xMin) / xSpan) * innerWidth;
+  const yScale = (y) => innerHeight - ((y - domain.yMin) / (domain.yMax - domain.yMin)) * innerHeight;
+  const yTicks = getNiceTicks(domain.yMin, domain.yMax);
+  const xTicks = domain.xMin === domain.xMax
+    ? [domain.xMin]
+    : Array.from({ length: 5 }, (_, i) => domain.xMin + (xSpan * i) / 4);
+
+  // Nearest x across all series to the cursor
+  const allX = [...new Set(series.flatMap(s => s.points.map(point => point.x)))].sort((a, b) => a - b);
+  const handleMouseMove = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const plotX = ((e.clientX - bounds.left) / bounds.width) * width - MARGIN.left;
+    const target = domain.xMin + (plotX / innerWidth) * xSpan;
+    const nearest = allX.reduce((best, x) => (Math.abs(x - target) < Math.abs(best - target) ? x : best), allX[0]);
+    setHoverX(nearest);
+    if (onHover) onHover(nearest);
+  };
+  const handleMouseLeave = () => {
+    setHoverX(null);
+    if (onHover) onHover(null);
+  };
+
+  const hoverValues = hoverX === null ? [] : series
+    .filter(s => !s.dashed)
+    .map(s => ({ name: s.name, color: s.color, point: s.points.find(point => point.x === hoverX) }))
+    .filter(entry => entry.point && entry.point.y !== null && entry.point.y !== undefined);
+
+  return (
+    <div className="relative">
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        className="w-full h-auto select-none"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleMouseLeave}
+        role="img"
+        aria-label={yLabel ? `${yLabel} chart` : 'Line chart'}
+      >
+        <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+          {yTicks.map(tick => (
+            <g key={`y-${tick}`} transform={`translate(0,${yScale(tick)})`}>
+              <line x2={innerWidth} stroke="#e5e7eb" />
+              <text x={-6} dy="0.32em" textAnchor="end" fontSize="10" fill="#6b7280">{formatY(tick)}</text>
+            </g>
+          ))}
+          {xTicks.map(tick => (
+            <text key={`x-${tick}`} x={xScale(tick)} y={innerHeight + 14} textAnchor="middle" fontSize="10" fill="#6b7280">
+              {formatX(tick)}
+            </text>
+          ))}
+          <line y1={innerHeight} x2={innerWidth} y2={innerHeight} stroke="#9ca3af" />
+          <line y2={innerHeight} stroke="#9ca3af" />
+
+          {series.map(s => (
+            <g key={s.name}>
+              {toPaths(s.points, xScale, yScale).map((d, i) => (
+                <path
+                  key={i}
+                  d={d}
+                  fill="none"
+                  stroke={s.color}
+                  strokeWidth={s.dashed ? 1.5 : 2}
+                  strokeDasharray={s.dashed ? '5 4' : undefined}
+                />
+              ))}
+              {!s.dashed && s.points.length <= 200 && s.points
+                .filter(point => point.y !== null && point.y !== undefined && !isNaN(point.y))
+                .map(point => (
+                  <circle key={point.x} cx={xScale(point.x)} cy={yScale(point.y)} r={2.5} fill={s.color} />
+                ))}
+            </g>
+          ))}
+
+          {hoverX !== null && (
+            <line x1={xScale(hoverX)} x2={xScale(hoverX)} y2={innerHeight} stroke="#374151" strokeDasharray="2 2" />
+          )}
+
+          {xLabel && (
+            <text x={innerWidth / 2} y={innerHeight + 30} textAnchor="middle" fontSize="10" fill="#374151">{xLabel}</text>
+          )}
+          {yLabel && (
+            <text transform={`translate(${-44},${innerHeight / 2}) rotate(-90)`} textAnchor="middle" fontSize="10" fill="#374151">
+              {yLabel}
+            </text>
+          )}
+        </g>
+      </svg>
+
+      {hoverValues.length > 0 && (
+        <div className="absolute top-1 right-2 px-2 py-1 bg-white bg-opacity-90 border border-gray-200 rounded text-xs text-gray-700 pointer-events-none">
+          <div className="font-semibold">{formatX(hoverX)}</div>
+          {hoverValues.map(entry => (
+            <div key={entry.name} className="flex items-center gap-1">
+              <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: entry.color }} />
+              {entry.name}: {formatY(entry.point.y)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineChart;
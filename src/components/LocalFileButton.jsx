@@ -0,0 +1,36 @@
+import React, { useRef } from 'react';
+
+// File chooser for GeoTIFFs on the user's computer. Files are only read in
+// the browser, nothing is uploaded.
+const LocalFileButton = ({ onFiles }) => {
+  const inputRef = useRef(null);
+
+  const handleChange = (e) => {
+    const files = Array.from(e.target.files);
+    // Lets the same file be picked again, e.g. after it was reprocessed
+    e.target.value = '';
+    if (files.length > 0) onFiles(files);
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current.click()}
+        className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded hover:bg-gray-100"
+        title="Open a GeoTIFF from this computer, or drop one onto the map"
+      >
+        Open file
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".tif,.tiff,image/tiff"
+        multiple
+        onChange={handleChange}
+        className="hidden"
+      />
+    </>
+  );
+};
+
+export default LocalFileButton;
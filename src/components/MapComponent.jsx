@@ -1,55 +1,728 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import 'leaflet-defaulticon-compatibility';
 import 'leaflet-defaulticon-compatibility/dist/leaflet-defaulticon-compatibility.css';
-import { fromArrayBuffer } from 'geotiff';
+import { Link } from 'react-router-dom';
 import Legend from './Legend'; 
-import { purpleGradientColors, visualizationOptions, formatLegendNumber } from '../utils/mapConstants';
+import InfoAccordion from './InfoAccordion';
+import PixelPopup from './PixelPopup';
+import StretchControl from './StretchControl';
+import ColormapControl from './ColormapControl';
+import MapToolbar from './MapToolbar';
+import TimeSeriesPanel from './TimeSeriesPanel';
+import TimelineControl from './TimelineControl';
+import CompareControl from './CompareControl';
+import CacheStatus from './CacheStatus';
+import SwipeDivider from './SwipeDivider';
+import SyncedMap from './SyncedMap';
+import LocalFileButton from './LocalFileButton';
+import CopyLinkButton from './CopyLinkButton';
+import LayerControl from './LayerControl';
+import AoiPanel from './AoiPanel';
+import AoiImportButton from './AoiImportButton';
+import ProfilePanel from './ProfilePanel';
+import ReferenceControl from './ReferenceControl';
+import ComponentControl from './ComponentControl';
+import MaskControl from './MaskControl';
+import BandControl from './BandControl';
+import {
+  visualizationOptions,
+  viewModes,
+  formatLegendNumber,
+  DEFAULT_VISUALIZATION,
+  DEFAULT_MAP_VIEW,
+  DEFAULT_OPACITY,
+  DEFAULT_COHERENCE_THRESHOLD,
+  COMPOSITE_STRETCH,
+  mapTools,
+  aoiColors,
+} from '../utils/mapConstants';
+import { describeBand, getPixelInfo } from '../utils/rasterUtils';
+import { createColorScale } from '../utils/colormap';
+import { computeStretchRange } from '../utils/stretch';
+import { sortByRasterDate } from '../utils/timeSeries';
+import { differenceRasters, rereferenceRaster, summarizeDifference } from '../utils/rasterMath';
+import {
+  SWIPE_PANES,
+  DETAIL_PANE,
+  RASTER_PANE,
+  createBaseLayer,
+  createRasterPanes,
+  setRasterBlendMode,
+  setRasterOpacity,
+} from '../utils/rasterOverlay';
+import { createCompositeTileLayer, createRasterTileLayer } from '../utils/rasterTileLayer';
+import { CACHE_STORES, readCache, writeCache } from '../utils/dataCache';
+import { readViewState } from '../utils/urlState';
+import { computeZonalStats } from '../utils/zonalStats';
+import { getFeatureBounds } from '../utils/aoi';
+import {
+  DEFAULT_INCIDENCE_ANGLE,
+  describeComponent,
+  getMetadataIncidence,
+  toVerticalRaster,
+} from '../utils/incidence';
+import {
+  getVisualizationOption,
+  getVisualizationDefaults,
+  getRastersForVisualization,
+  getVisualizationForResource,
+} from '../utils/visualization';
 import { useLegend } from './hooks/useLegend';
+import { useTimeSeries } from './hooks/useTimeSeries';
+import { useRasterFrames } from './hooks/useRasterFrames';
+import { useComparison } from './hooks/useComparison';
+import { useBandPicker } from './hooks/useBandPicker';
+import { useSwipeClip } from './hooks/useSwipeClip';
+import { useDetailFrame } from './hooks/useDetailFrame';
+import { useCompositeFrames } from './hooks/useCompositeFrames';
+import { usePixelBands } from './hooks/usePixelBands';
+import { useDataSource } from './hooks/useDataSource';
+import { useFileDrop } from './hooks/useFileDrop';
+import { useUrlState } from './hooks/useUrlState';
+import { useBasemaps } from './hooks/useBasemaps';
+import { useShapeDrawing } from './hooks/useShapeDrawing';
+import { useTransect } from './hooks/useTransect';
+import { useReference } from './hooks/useReference';
+import { useIncidence } from './hooks/useIncidence';
+import { useCoherenceMask, useMaskedFrame } from './hooks/useCoherenceMask';
+import { useMapPopup } from './hooks/useMapPopup';
+import { getSourceSearch } from '../dataSources';
+import { createLocalResource, getTiffResources, isGeoTiffFile } from '../dataSources/resources';
 
-const MapComponent = () => {
+// Status line of the loading overlay for a worker progress update
+const describeProgress = (progress) => {
+  switch (progress?.phase) {
+    case 'open':
+      return 'Opening raster...';
+    case 'download':
+      return progress.total
+        ? `Downloading raster... ${Math.round((progress.loaded / progress.total) * 100)}%`
+        : `Downloading raster... ${(progress.loaded / 1e6).toFixed(1)} MB`;
+    case 'decode':
+      return 'Decoding raster...';
+    case 'stats':
+      return 'Computing statistics...';
+    default:
+      return 'Loading DYNAMO TIFF data...';
+  }
+};
+
+const MapComponent = ({ packageId = null }) => {
+  // View of a shared link; anything it leaves out starts from the defaults
+  const initialViewRef = useRef(null);
+  if (!initialViewRef.current) initialViewRef.current = readViewState(window.location.search);
+  const initialView = initialViewRef.current;
+  const initialProduct = initialView.product || DEFAULT_VISUALIZATION;
   const [isPanelOpen, setIsPanelOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [tiffData, setTiffData] = useState(null);
+  const { source: dataSource, error: dataSourceError } = useDataSource(packageId);
   const [datasetInfo, setDatasetInfo] = useState(null);
-  const [visualizationType, setVisualizationType] = useState('displacement');
-  const [availableRasters, setAvailableRasters] = useState([]);
+  // Whether the dataset metadata came from the persistent cache or from CKAN
+  const [metadataOrigin, setMetadataOrigin] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [visualizationType, setVisualizationType] = useState(initialProduct);
+  const [allRasters, setAllRasters] = useState([]);
+  // GeoTIFFs opened from disk, listed before the dataset's own rasters
+  const [localRasters, setLocalRasters] = useState([]);
   const [selectedRaster, setSelectedRaster] = useState(null);
+  const [hoverInfo, setHoverInfo] = useState(null);
+  const [stretch, setStretch] = useState(() => ({
+    ...getVisualizationDefaults(initialProduct).stretch,
+    ...initialView.stretch,
+  }));
+  const [colormap, setColormap] = useState(() => initialView.colormap || getVisualizationDefaults(initialProduct).colormap);
+  const [opacity, setOpacity] = useState(initialView.opacity ?? DEFAULT_OPACITY);
+  const [blendMode, setBlendMode] = useState(initialView.blendMode || 'normal');
+  // Null until the user picks one: the configured default applies
+  const [basemapId, setBasemapId] = useState(initialView.basemap);
+  const [mapView, setMapView] = useState(() => ({
+    center: initialView.center || DEFAULT_MAP_VIEW.center,
+    zoom: initialView.zoom ?? DEFAULT_MAP_VIEW.zoom,
+  }));
+  // Pixel shown in the popup
+  const [inspectedPoint, setInspectedPoint] = useState(initialView.point);
+  const [activeTool, setActiveTool] = useState(null);
+  // Areas of interest: { id, name, color, feature }
+  const [aois, setAois] = useState([]);
+  const [selectedAoiId, setSelectedAoiId] = useState(null);
+  // Thresholds edited by the user, per product
+  const [aoiThresholdEdits, setAoiThresholdEdits] = useState({});
+  const [timeSeriesPoint, setTimeSeriesPoint] = useState(initialView.series);
+  // Line-of-sight products can be shown as vertical motion. Without a chosen
+  // source the incidence comes from the best one the dataset offers.
+  const [component, setComponent] = useState(initialView.vertical ? 'vertical' : 'los');
+  const [incidenceSource, setIncidenceSource] = useState(initialView.vertical?.source || null);
+  const [incidenceAngle, setIncidenceAngle] = useState(initialView.vertical?.angle ?? DEFAULT_INCIDENCE_ANGLE);
+  const [incidenceRasterId, setIncidenceRasterId] = useState(initialView.vertical?.rasterId || null);
+  // Pixels of line-of-sight products below the coherence threshold are hidden.
+  // Without a chosen source the coherence comes from a companion raster when
+  // the dataset has one, else from the second band.
+  const [maskEnabled, setMaskEnabled] = useState(Boolean(initialView.mask));
+  const [maskSettings, setMaskSettings] = useState(() => ({
+    source: initialView.mask?.source || null,
+    rasterId: initialView.mask?.rasterId || null,
+    band: initialView.mask?.band ?? 1,
+  }));
+  const [coherenceThreshold, setCoherenceThreshold] = useState(
+    initialView.mask?.threshold ?? DEFAULT_COHERENCE_THRESHOLD
+  );
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [loopPlayback, setLoopPlayback] = useState(true);
+  // Range frozen across frames so colours mean the same thing in every frame
+  const [lockedRange, setLockedRange] = useState(null);
+  const [resampling, setResampling] = useState('nearest');
+  // Set once the Leaflet map exists, for hooks that draw on it from the start
+  const [mapReady, setMapReady] = useState(false);
   
+  const mapAreaRef = useRef(null);
   const mapContainerRef = useRef(null);
   const mapRef = useRef(null);
+  const baseLayerRef = useRef(null);
   const currentLayerRef = useRef(null);
+  const compareLayerRef = useRef(null);
+  const detailLayerRef = useRef(null);
+  const compositeLayerRef = useRef(null);
+  const resamplingRef = useRef(resampling);
+  // Decoded raster of the current overlay, reused for pixel lookups
+  const rasterRef = useRef(null);
+  // The same raster as stored, before conversion and re-referencing
+  const sourceRasterRef = useRef(null);
+  const colorScaleRef = useRef(null);
+  const activeToolRef = useRef(null);
+  const fittedBoundsRef = useRef(null);
+  // Set while the map shows a view from the URL, which the next raster must not refit
+  const keepViewRef = useRef(Boolean(initialView.center));
+  // Raster named by the URL, selected once the dataset lists it
+  const requestedRasterRef = useRef(initialView.raster);
+  const aoiCountRef = useRef(0);
+  const aoiLayerRef = useRef(null);
+  // Raster B right of the swipe divider, inspected instead of A on that side
+  const swipeRasterRef = useRef(null);
+  const swipePositionRef = useRef(0.5);
+  const detailRasterRef = useRef(null);
+
+  const { basemaps, defaultId: defaultBasemapId } = useBasemaps();
+  const basemap = basemaps.find(b => b.id === basemapId) || basemaps.find(b => b.id === defaultBasemapId);
 
   const currentVisualization = useMemo(() => 
-    visualizationOptions.find(opt => opt.value === visualizationType),
+    getVisualizationOption(visualizationType),
     [visualizationType]
   );
+  const {
+    band,
+    bandOverride,
+    setBandOverride,
+    selectBand,
+    compositeBands,
+    setCompositeBands,
+    channelStretch,
+    setChannelStretchAt,
+  } = useBandPicker(initialView.band, initialView.rgb, currentVisualization.band ?? 0);
+
+  const rasters = useMemo(() => [...localRasters, ...allRasters], [localRasters, allRasters]);
+
+  // Only the resources holding the selected product are offered
+  const availableRasters = useMemo(
+    () => getRastersForVisualization(rasters, visualizationType),
+    [rasters, visualizationType]
+  );
+
+  const timelineFrames = useMemo(() => sortByRasterDate(availableRasters), [availableRasters]);
+
+  const {
+    frame: decodedRaster,
+    loading: frameLoading,
+    progress: frameProgress,
+    error: frameError,
+    prefetch,
+    loadFrame,
+  } = useRasterFrames(selectedRaster, band);
+
+  const comparison = useComparison(timelineFrames, loadFrame);
+  const {
+    viewMode,
+    setViewMode,
+    isComparing,
+    resourceA: compareResourceA,
+    resourceB: compareResourceB,
+    framePair,
+    swipePosition,
+  } = comparison;
+
+  // Composites replace the single-band overlay outside the comparison views
+  const isComposite = Boolean(compositeBands) && viewMode === 'single';
+  const composite = useCompositeFrames(isComposite, selectedRaster, compositeBands, loadFrame);
+  const channelRanges = useMemo(
+    () => (composite.frames
+      ? composite.frames.map((frame, i) =>
+        (channelStretch[i] && computeStretchRange(null, { method: 'manual', ...channelStretch[i] })) ||
+        computeStretchRange(frame.stats, COMPOSITE_STRETCH) ||
+        { min: 0, max: 1 })
+      : null),
+    [composite.frames, channelStretch]
+  );
+  const channelRangesRef = useRef(null);
+  channelRangesRef.current = channelRanges;
+  const bandDescriptions = decodedRaster?.bands || [];
+
+  sourceRasterRef.current = isComparing ? framePair.a : decodedRaster;
+
+  // Masking comes first, so differences, conversion and re-referencing only
+  // ever see reliable pixels
+  const coherenceRasters = useMemo(() => getRastersForVisualization(rasters, 'coherence'), [rasters]);
+  const effectiveMaskSettings = useMemo(() => ({
+    ...maskSettings,
+    source: maskSettings.source || (coherenceRasters.length > 0 ? 'raster' : 'band'),
+  }), [maskSettings, coherenceRasters]);
+  const isMasking = maskEnabled && Boolean(currentVisualization.lineOfSight);
+  // Where the time series and profile overlays read the coherence of the
+  // rasters they sample, so they are masked like the map
+  const coherenceMask = useMemo(
+    () => (isMasking ? { settings: effectiveMaskSettings, rasters: coherenceRasters } : null),
+    [isMasking, effectiveMaskSettings, coherenceRasters]
+  );
+  const maskedResources = useMemo(
+    () => (isComparing ? [compareResourceA, compareResourceB] : [selectedRaster]).filter(Boolean),
+    [isComparing, compareResourceA, compareResourceB, selectedRaster]
+  );
+  const coherence = useCoherenceMask(
+    isMasking,
+    maskedResources,
+    effectiveMaskSettings,
+    coherenceRasters,
+    loadFrame
+  );
+  const coherenceFor = (frame) => (frame ? coherence.frames[frame.resourceId] || null : null);
+  const maskedRaster = useMaskedFrame(decodedRaster, coherenceFor(decodedRaster), coherenceThreshold);
+  const maskedA = useMaskedFrame(framePair.a, coherenceFor(framePair.a), coherenceThreshold);
+  const maskedB = useMaskedFrame(framePair.b, coherenceFor(framePair.b), coherenceThreshold);
+
+  const differenceRaster = useMemo(
+    () => (viewMode === 'difference' && maskedA && maskedB
+      ? differenceRasters(maskedA, maskedB)
+      : null),
+    [viewMode, maskedA, maskedB]
+  );
+
+  // The raster currently drawn, inspected and stretched. Swipe and side-by-side
+  // views stretch on A and draw B with the same colours.
+  const sourceRaster = viewMode === 'single'
+    ? maskedRaster
+    : viewMode === 'difference' ? differenceRaster : maskedA;
+  const sourceComparedRaster = viewMode === 'swipe' || viewMode === 'dual' ? maskedB : null;
+
+  const incidenceRasters = useMemo(() => getRastersForVisualization(rasters, 'incidence'), [rasters]);
+  const incidenceRaster = incidenceRasters.find(r => r.id === incidenceRasterId) || incidenceRasters[0] || null;
+  const metadataIncidence = useMemo(
+    () => getMetadataIncidence([selectedRaster, ...availableRasters].filter(Boolean), datasetInfo),
+    [selectedRaster, availableRasters, datasetInfo]
+  );
+  const effectiveIncidenceSource = incidenceSource ||
+    (metadataIncidence !== null ? 'metadata' : incidenceRasters.length > 0 ? 'raster' : 'constant');
+  const { incidence, loading: incidenceLoading, error: incidenceError } = useIncidence(
+    component === 'vertical' && Boolean(currentVisualization.lineOfSight),
+    {
+      source: effectiveIncidenceSource,
+      angle: incidenceAngle,
+      metadataAngle: metadataIncidence,
+      rasterResource: incidenceRaster,
+    },
+    loadFrame
+  );
+  const componentInfo = useMemo(
+    () => describeComponent(currentVisualization, incidence),
+    [currentVisualization, incidence]
+  );
+
+  // Line-of-sight rasters shown as vertical are converted before anything else
+  const componentRaster = useMemo(
+    () => (incidence && sourceRaster ? toVerticalRaster(sourceRaster, incidence) : sourceRaster),
+    [incidence, sourceRaster]
+  );
+  const componentComparedRaster = useMemo(
+    () => (incidence && sourceComparedRaster ? toVerticalRaster(sourceComparedRaster, incidence) : sourceComparedRaster),
+    [incidence, sourceComparedRaster]
+  );
+
+  // With a reference, each raster is shown relative to its own value there,
+  // so everything reading these rasters sees re-referenced values
+  const {
+    reference,
+    radius: referenceRadius,
+    setPoint: setReferencePoint,
+    setRadius: setReferenceRadius,
+    restore: restoreReference,
+  } = useReference(mapRef, mapReady, initialView.reference);
+  const displayedRaster = useMemo(
+    () => (reference && componentRaster ? rereferenceRaster(componentRaster, reference) : componentRaster),
+    [reference, componentRaster]
+  );
+  const comparedRaster = useMemo(
+    () => (reference && componentComparedRaster
+      ? rereferenceRaster(componentComparedRaster, reference)
+      : componentComparedRaster),
+    [reference, componentComparedRaster]
+  );
 
-  const legendConfig = useLegend(currentVisualization, datasetInfo, visualizationType);
+  // Share of valid pixels hidden by the coherence mask in each raster in view
+  const maskedFractions = (isComparing ? [['A', maskedA], ['B', maskedB]] : [[null, maskedRaster]])
+    .filter(([, raster]) => raster?.mask)
+    .map(([label, raster]) => ({ label, fraction: raster.mask.maskedFraction }));
+
+  const differenceSummary = useMemo(
+    () => (viewMode === 'difference' && displayedRaster
+      ? summarizeDifference(
+        displayedRaster, Number.isFinite(comparison.differenceThreshold) ? comparison.differenceThreshold : 0
+      )
+      : null),
+    [viewMode, displayedRaster, comparison.differenceThreshold]
+  );
+
+  // Shared by the overlay, the legend and the pixel inspector so they never disagree
+  const displayRange = useMemo(
+    () => lockedRange || computeStretchRange(displayedRaster?.stats, stretch),
+    [lockedRange, displayedRaster, stretch]
+  );
+
+  const colorScale = useMemo(
+    () => (displayRange ? createColorScale(colormap, displayRange) : null),
+    [colormap, displayRange]
+  );
+  colorScaleRef.current = colorScale;
+
+  const legendProduct = useMemo(() => {
+    if (viewMode === 'difference' && differenceRaster) {
+      return {
+        title: `${currentVisualization.label} Change (A − B)`,
+        description: `${compareResourceA?.displayName} minus ${compareResourceB?.displayName}; ` +
+          'positive values mean A is higher than B',
+      };
+    }
+    if (comparedRaster) {
+      return {
+        title: currentVisualization.label,
+        description: `A: ${compareResourceA?.displayName}; B: ${compareResourceB?.displayName}. ` +
+          'Both sides share one stretch.',
+      };
+    }
+    return null;
+  }, [viewMode, differenceRaster, comparedRaster, currentVisualization, compareResourceA, compareResourceB]);
+
+  const legendConfig = useLegend(
+    currentVisualization, dataSource, datasetInfo, visualizationType, colorScale, legendProduct, displayedRaster?.reference, componentInfo
+  );
+  const timeSeries = useTimeSeries(
+    timeSeriesPoint, availableRasters, band, sourceRasterRef, reference, incidence, loadFrame, coherenceMask, coherenceThreshold
+  );
+
+  const aoiThresholds = useMemo(
+    () => aoiThresholdEdits[visualizationType] || currentVisualization.aoiThresholds || [],
+    [aoiThresholdEdits, visualizationType, currentVisualization]
+  );
+  const handleAoiThresholdsChange = (thresholds) => {
+    setAoiThresholdEdits(current => ({ ...current, [visualizationType]: thresholds }));
+  };
+
+  // Statistics follow the raster on screen, so a difference map gives the
+  // statistics of the change
+  const aoiResults = useMemo(() => aois.map(aoi => ({
+    ...aoi,
+    stats: displayedRaster ? computeZonalStats(displayedRaster, aoi.feature, aoiThresholds) : null,
+  })), [aois, displayedRaster, aoiThresholds]);
+
+  const addAois = (features) => {
+    const added = features.map((feature) => {
+      aoiCountRef.current += 1;
+      const n = aoiCountRef.current;
+      return {
+        id: `aoi-${n}`,
+        name: feature.properties.name || `AOI ${n}`,
+        color: aoiColors[(n - 1) % aoiColors.length],
+        feature,
+      };
+    });
+    setAois(current => [...current, ...added]);
+    setSelectedAoiId(added[added.length - 1].id);
+    return added;
+  };
+
+  const transect = useTransect(
+    mapRef, timelineFrames, displayedRaster, loadFrame, reference, incidence, coherenceMask, coherenceThreshold
+  );
+
+  const drawShape = mapTools.find(tool => tool.value === activeTool)?.shape || null;
+  useShapeDrawing(mapRef, drawShape, (feature) => {
+    if (feature.geometry.type === 'LineString') {
+      transect.show(feature);
+    } else {
+      addAois([feature]);
+    }
+    setActiveTool(null);
+  });
+
+  const handleAoiImport = (features) => {
+    setError(null);
+    addAois(features);
+    const bounds = L.latLngBounds(features.flatMap(getFeatureBounds));
+    mapRef.current.fitBounds(bounds, { padding: [20, 20] });
+  };
+
+  const handleAoiRemove = (id) => {
+    setAois(current => current.filter(aoi => aoi.id !== id));
+  };
+
+  // Streamed files get finer tiles of the visible extent as the user zooms in
+  const detail = useDetailFrame(mapRef, decodedRaster, viewMode === 'single' && !isPlaying && !isComposite);
+  // Masked and converted like the overview and shifted by the overview's
+  // reference value, so detail and overview line up
+  const maskedDetail = useMaskedFrame(detail.frame, coherenceFor(detail.frame), coherenceThreshold);
+  const detailRaster = useMemo(() => {
+    if (!maskedDetail) return null;
+    const converted = incidence ? toVerticalRaster(maskedDetail, incidence) : maskedDetail;
+    return displayedRaster?.reference
+      ? rereferenceRaster(converted, reference, displayedRaster.reference.value)
+      : converted;
+  }, [maskedDetail, incidence, displayedRaster, reference]);
+  detailRasterRef.current = detailRaster;
+
+  swipePositionRef.current = swipePosition;
+  useSwipeClip(mapRef, viewMode === 'swipe', swipePosition);
+
+  // A cached copy of the dataset is shown straight away and replaced if the
+  // data source has a newer one. When it is unreachable the cached copy is kept.
+  const loadDatasetInfo = useCallback(async () => {
+    const applyDataset = (dataset, origin) => {
+      setDatasetInfo(dataset);
+      setMetadataOrigin(origin);
+      // The most recent raster of the current product is selected once these arrive
+      setAllRasters(getTiffResources(dataset));
+    };
+
+    let cached = null;
+    try {
+      setLoading(true);
+      setError(null);
+
+      cached = await readCache(CACHE_STORES.metadata, dataSource.cacheKey);
+      if (cached) {
+        applyDataset(cached, 'cache');
+        setLoading(false);
+      }
+
+      const dataset = await dataSource.loadDataset();
+      setOffline(false);
+      if (cached && dataset.metadata_modified && cached.metadata_modified === dataset.metadata_modified) return;
+
+      applyDataset(dataset, 'network');
+      writeCache(CACHE_STORES.metadata, dataSource.cacheKey, dataset, JSON.stringify(dataset).length);
+    } catch (err) {
+      if (cached) {
+        console.warn('The data source is unreachable, using the cached dataset:', err.message);
+        setOffline(true);
+        return;
+      }
+      console.error('Error loading dataset info:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [dataSource]);
 
   useEffect(() => {
-    loadDatasetInfo();
-  }, []);
+    if (dataSource) loadDatasetInfo();
+  }, [dataSource, loadDatasetInfo]);
 
   useEffect(() => {
     if (mapContainerRef.current && !mapRef.current) {
-      mapRef.current = L.map(mapContainerRef.current).setView([28.0, -88.0], 6);
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-      }).addTo(mapRef.current);
+      const { center, zoom } = initialViewRef.current;
+      const map = L.map(mapContainerRef.current)
+        .setView(center || DEFAULT_MAP_VIEW.center, zoom ?? DEFAULT_MAP_VIEW.zoom);
+      createRasterPanes(map);
+      map.on('moveend', () => {
+        const { lat, lng } = map.getCenter();
+        setMapView({ center: { lat, lng }, zoom: map.getZoom() });
+      });
+      mapRef.current = map;
+      setMapReady(true);
     }
   }, []);
 
   useEffect(() => {
-    if (selectedRaster) {
-      loadTiffData(selectedRaster);
+    const map = mapRef.current;
+    if (!map) return;
+    if (baseLayerRef.current) baseLayerRef.current.remove();
+    baseLayerRef.current = createBaseLayer(basemap).addTo(map);
+  }, [basemap]);
+
+  useEffect(() => {
+    if (mapRef.current) setRasterOpacity(mapRef.current, opacity);
+  }, [opacity]);
+
+  useEffect(() => {
+    if (mapRef.current) setRasterBlendMode(mapRef.current, blendMode);
+  }, [blendMode]);
+
+  // Right of the swipe divider the pixel belongs to raster B. Elsewhere the
+  // streamed detail is inspected where it has loaded, else the overview.
+  const rasterAt = useCallback((latlng, containerPoint) => {
+    const right = swipeRasterRef.current;
+    if (right && containerPoint.x > mapRef.current.getSize().x * swipePositionRef.current) return right;
+    const detailRaster = detailRasterRef.current;
+    if (detailRaster && getPixelInfo(detailRaster, latlng)) return detailRaster;
+    return rasterRef.current;
+  }, []);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    let frame = null;
+
+    const handleClick = (e) => {
+      const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+      if (activeToolRef.current === 'timeseries') {
+        setTimeSeriesPoint(point);
+        return;
+      }
+      if (activeToolRef.current === 'reference') {
+        setReferencePoint(point);
+        setActiveTool(null);
+        setLockedRange(null);
+        return;
+      }
+      // Drawing tools handle their own clicks
+      if (activeToolRef.current) return;
+      if (getPixelInfo(rasterAt(e.latlng, e.containerPoint), e.latlng)) setInspectedPoint(point);
+    };
+
+    // Throttle hover lookups to one per animation frame
+    const handleMouseMove = (e) => {
+      if (frame) return;
+      const { latlng, containerPoint } = e;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        setHoverInfo(getPixelInfo(rasterAt(latlng, containerPoint), latlng));
+      });
+    };
+
+    const handleMouseOut = () => setHoverInfo(null);
+
+    map.on('click', handleClick);
+    map.on('mousemove', handleMouseMove);
+    map.on('mouseout', handleMouseOut);
+
+    return () => {
+      if (frame) cancelAnimationFrame(frame);
+      map.off('click', handleClick);
+      map.off('mousemove', handleMouseMove);
+      map.off('mouseout', handleMouseOut);
+    };
+  }, [rasterAt, setReferencePoint]);
+
+  useEffect(() => {
+    activeToolRef.current = activeTool;
+    if (mapRef.current) {
+      mapRef.current.getContainer().style.cursor = activeTool ? 'crosshair' : '';
+    }
+  }, [activeTool]);
+
+  useEffect(() => {
+    if (!mapRef.current || !timeSeriesPoint) return;
+
+    const marker = L.circleMarker([timeSeriesPoint.lat, timeSeriesPoint.lng], {
+      radius: 7,
+      color: '#ffffff',
+      weight: 2,
+      fillColor: '#7C3AED',
+      fillOpacity: 1,
+    }).addTo(mapRef.current);
+
+    return () => marker.remove();
+  }, [timeSeriesPoint]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (aoiLayerRef.current) aoiLayerRef.current.remove();
+
+    aoiLayerRef.current = L.layerGroup(aois.map(aoi => L.geoJSON(aoi.feature, {
+      interactive: false,
+      style: {
+        color: aoi.color,
+        weight: aoi.id === selectedAoiId ? 3 : 2,
+        fillOpacity: aoi.id === selectedAoiId ? 0.1 : 0.03,
+      },
+    }))).addTo(map);
+  }, [aois, selectedAoiId]);
+
+  useEffect(() => {
+    if (rasters.length === 0) return;
+    if (availableRasters.length === 0) {
+      setSelectedRaster(null);
+      setError(`No ${currentVisualization.label.toLowerCase()} rasters were found in this dataset.`);
+      return;
+    }
+    setError(null);
+    // A raster named by the URL wins once it is listed. Otherwise keep the
+    // current raster if it still belongs to the product, else take the most recent one.
+    const requested = availableRasters.find(r => r.id === requestedRasterRef.current);
+    if (requested || !rasters.some(r => r.id === requestedRasterRef.current)) {
+      requestedRasterRef.current = null;
+    }
+    setSelectedRaster(current => requested ||
+      (availableRasters.some(r => r.id === current?.id) ? current : availableRasters[0])
+    );
+  }, [rasters, availableRasters, currentVisualization]);
+
+  useEffect(() => {
+    rasterRef.current = displayedRaster;
+    if (!displayedRaster || !mapRef.current) return;
+
+    // Frames of one stack share an extent, so only zoom when the extent changes
+    const boundsKey = displayedRaster.georef.bounds.flat().map(v => v.toFixed(4)).join(',');
+    if (keepViewRef.current) {
+      keepViewRef.current = false;
+      fittedBoundsRef.current = boundsKey;
+    } else if (fittedBoundsRef.current !== boundsKey) {
+      fittedBoundsRef.current = boundsKey;
+      mapRef.current.fitBounds(displayedRaster.georef.bounds);
     }
-  }, [selectedRaster]);
+  }, [displayedRaster]);
+
+  // Advance the animation once the current frame is on screen, fetching the
+  // next frames in the background meanwhile
+  useEffect(() => {
+    if (!isPlaying || timelineFrames.length < 2 || !selectedRaster) return;
+    if (!decodedRaster || decodedRaster.resourceId !== selectedRaster.id) return;
+
+    const index = timelineFrames.findIndex(f => f.resource.id === selectedRaster.id);
+    const upcoming = [1, 2]
+      .map(offset => index + offset)
+      .map(i => (loopPlayback ? i % timelineFrames.length : i))
+      .filter(i => i < timelineFrames.length && i !== index)
+      .map(i => timelineFrames[i].resource);
+    prefetch(upcoming);
+
+    const timer = setTimeout(() => {
+      const next = index + 1;
+      if (next < timelineFrames.length) {
+        setSelectedRaster(timelineFrames[next].resource);
+      } else if (loopPlayback) {
+        setSelectedRaster(timelineFrames[0].resource);
+      } else {
+        setIsPlaying(false);
+      }
+    }, 1000 / playbackSpeed);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, decodedRaster, selectedRaster, timelineFrames, playbackSpeed, loopPlayback, prefetch]);
 
   useEffect(() => {
-    if (!mapRef.current || !tiffData || !tiffData.geotiff) return;
+    if (!mapRef.current) return;
 
     if (currentLayerRef.current) {
       try {
@@ -61,79 +734,157 @@ const MapComponent = () => {
       }
     }
 
-    const renderTiffOverlay = async () => {
-      try {
-        const geotiff = tiffData.geotiff;
-        const image = await geotiff.getImage();
-        const bbox = image.getBoundingBox();
-        const [xmin, ymin, xmax, ymax] = bbox;
-        const imageBounds = [[ymin, xmin], [ymax, xmax]];
-
-        const rasters = await image.readRasters({ interleave: true });
-        const width = image.getWidth();
-        const height = image.getHeight();
-
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const context = canvas.getContext('2d');
-        const imageData = context.createImageData(width, height);
-        const data = imageData.data;
-
-        const min = -2;
-        const max = 0.2;
-        const range = max - min;
-
-        const hexToRgb = (hex) => {
-          const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-          return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)] : null;
-        };
-        const colorRamp = purpleGradientColors.map(hexToRgb);
-        const numColors = colorRamp.length;
-
-        for (let i = 0; i < rasters.length; i++) {
-          const pixelValue = rasters[i];
-          const j = i * 4;
-
-          if (pixelValue === undefined || isNaN(pixelValue) || pixelValue < min) {
-            data[j + 3] = 0; // Set alpha to 0 for transparent
-          } else {
-            const clampedValue = Math.max(min, Math.min(max, pixelValue));
-            const normalized = (clampedValue - min) / range;
-            const colorIndex = Math.min(numColors - 1, Math.floor(normalized * numColors));
-            const color = colorRamp[colorIndex];
-
-            if (color) {
-              data[j] = color[0];     // R
-              data[j + 1] = color[1]; // G
-              data[j + 2] = color[2]; // B
-              data[j + 3] = 255 * 0.7; // Alpha (with 70% opacity)
-            } else {
-              data[j + 3] = 0; // Fallback to transparent
-            }
-          }
-        }
+    const scale = colorScaleRef.current;
+    if (!displayedRaster || !scale || isComposite) return;
 
-        context.putImageData(imageData, 0, 0);
-        const dataUrl = canvas.toDataURL();
+    try {
+      // In swipe mode raster A only shows left of the divider
+      const pane = viewMode === 'swipe' ? SWIPE_PANES.left : RASTER_PANE;
+      currentLayerRef.current = createRasterTileLayer(displayedRaster, scale, {
+        pane,
+        resampling: resamplingRef.current,
+      }).addTo(mapRef.current);
+    } catch (err) {
+      console.error("Error rendering GeoTIFF tiles:", err);
+      setError(`Could not render the selected raster: ${err.message}`);
+    }
+  }, [displayedRaster, viewMode, isComposite]);
 
-        const overlay = L.imageOverlay(dataUrl, imageBounds, {
-          opacity: 1, // Opacity is now baked into the image data
-          interactive: false,
-        });
+  useEffect(() => {
+    const map = mapRef.current;
+    const ranges = channelRangesRef.current;
+    if (!map || !isComposite || !composite.frames || !ranges) return;
 
-        overlay.addTo(mapRef.current);
-        currentLayerRef.current = overlay;
-        mapRef.current.fitBounds(imageBounds);
+    try {
+      compositeLayerRef.current = createCompositeTileLayer(composite.frames, ranges, {
+        pane: RASTER_PANE,
+        resampling: resamplingRef.current,
+      }).addTo(map);
+    } catch (err) {
+      console.error('Error rendering RGB composite:', err);
+      setError(`Could not render the composite: ${err.message}`);
+    }
 
-      } catch (err) {
-        console.error("Error rendering GeoTIFF to image overlay:", err);
-        setError("Could not render the selected raster. It may be in an unsupported format.");
+    return () => {
+      if (compositeLayerRef.current) {
+        compositeLayerRef.current.remove();
+        compositeLayerRef.current = null;
       }
     };
+  }, [isComposite, composite.frames]);
 
-    renderTiffOverlay();
-  }, [tiffData]);
+  useEffect(() => {
+    if (compositeLayerRef.current && channelRanges) compositeLayerRef.current.setColorScale(channelRanges);
+  }, [channelRanges]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    const scale = colorScaleRef.current;
+    if (!map || !detailRaster || !scale) return;
+
+    try {
+      detailLayerRef.current = createRasterTileLayer(detailRaster, scale, {
+        pane: DETAIL_PANE,
+        resampling: resamplingRef.current,
+      }).addTo(map);
+    } catch (err) {
+      console.error('Error rendering raster detail:', err);
+    }
+
+    return () => {
+      if (detailLayerRef.current) {
+        detailLayerRef.current.remove();
+        detailLayerRef.current = null;
+      }
+    };
+  }, [detailRaster]);
+
+  // Raster B on the right-hand side of the swipe divider
+  useEffect(() => {
+    const map = mapRef.current;
+    const scale = colorScaleRef.current;
+    const swipeRaster = viewMode === 'swipe' ? comparedRaster : null;
+    swipeRasterRef.current = swipeRaster;
+    if (!map || !swipeRaster || !scale) return;
+
+    try {
+      compareLayerRef.current = createRasterTileLayer(swipeRaster, scale, {
+        pane: SWIPE_PANES.right,
+        resampling: resamplingRef.current,
+      }).addTo(map);
+    } catch (err) {
+      console.error('Error rendering comparison raster:', err);
+      setError(`Could not render raster B: ${err.message}`);
+    }
+
+    return () => {
+      if (compareLayerRef.current) {
+        compareLayerRef.current.remove();
+        compareLayerRef.current = null;
+      }
+    };
+  }, [viewMode, comparedRaster]);
+
+  // Colour and resampling changes repaint the existing tiles in place
+  useEffect(() => {
+    if (!colorScale) return;
+    [currentLayerRef, compareLayerRef, detailLayerRef].forEach((ref) => {
+      if (ref.current) ref.current.setColorScale(colorScale);
+    });
+  }, [colorScale]);
+
+  useEffect(() => {
+    resamplingRef.current = resampling;
+    [currentLayerRef, compareLayerRef, detailLayerRef, compositeLayerRef].forEach((ref) => {
+      if (ref.current) ref.current.setResampling(resampling);
+    });
+  }, [resampling]);
+
+  // Every band of a multi-band file is reported for the inspected pixel
+  const pixelBands = usePixelBands(
+    viewMode === 'single' && bandDescriptions.length > 1, inspectedPoint, selectedRaster, bandDescriptions.length, loadFrame
+  );
+
+  const { open: openPixelPopup, close: closePixelPopup, portal: pixelPopupPortal } = useMapPopup(
+    () => setInspectedPoint(null)
+  );
+
+  // The inspected pixel stays in its popup, updated as frames and colours change
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (!inspectedPoint) {
+      closePixelPopup();
+      return;
+    }
+
+    // Until a raster is drawn there is nothing to show yet, but a raster
+    // without the point must not keep showing the previous raster's values
+    const raster = rasterAt(inspectedPoint, map.latLngToContainerPoint(inspectedPoint));
+    if (!raster) return;
+    const pixel = getPixelInfo(raster, inspectedPoint);
+    if (!pixel) {
+      closePixelPopup();
+      return;
+    }
+
+    openPixelPopup(map, inspectedPoint, (
+      <PixelPopup
+        pixel={pixel}
+        colorBin={pixel.isNoData ? null : colorScale?.describe(pixel.value) ?? null}
+        rasterName={raster.name}
+        reference={raster.reference}
+        component={describeComponent(currentVisualization, raster.incidence, inspectedPoint)?.label}
+        coherence={raster.mask
+          ? { value: raster.mask.coherence[pixel.row * raster.width + pixel.col], threshold: raster.mask.threshold }
+          : null}
+        bands={pixelBands?.map((value, i) => ({ label: describeBand(i, raster.bands), value }))}
+      />
+    ));
+  }, [
+    inspectedPoint, rasterAt, displayedRaster, comparedRaster, detailRaster, colorScale, currentVisualization, pixelBands,
+    openPixelPopup, closePixelPopup,
+  ]);
 
   useEffect(() => {
     return () => {
@@ -171,172 +922,262 @@ const MapComponent = () => {
 
       return () => clearTimeout(timer);
     }
-  }, [isPanelOpen]);
+  }, [isPanelOpen, viewMode]);
 
-  const fetchDatasetInfo = async () => {
-    try {
-      const response = await fetch('https://ckan.tacc.utexas.edu/api/3/action/package_show?id=gulf-coast-of-united-states-insar', {
-      });
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dataset info: ${response.status} ${response.statusText}`);
-      }
-      const data = await response.json();
-      if (!data.success) {
-        throw new Error(data.error?.message || 'API request was not successful');
-      }
-      return data.result;
-    } catch (error) {
-      console.error('Error fetching dataset info:', error);
-      throw error;
-    }
+  const selectVisualization = (type) => {
+    const defaults = getVisualizationDefaults(type);
+    setVisualizationType(type);
+    setStretch(defaults.stretch);
+    setColormap(defaults.colormap);
+    setBandOverride(null);
+    setCompositeBands(null);
+    setIsPlaying(false);
+    setLockedRange(null);
   };
 
-  const getAllTiffResources = (dataset) => {
-    if (!dataset || !dataset.resources) {
-      throw new Error('No resources found in dataset');
-    }
+  // Another band has other values, so a locked stretch no longer applies
+  const handleBandChange = (next) => {
+    selectBand(next);
+    setLockedRange(null);
+  };
 
-    const tiffResources = dataset.resources.filter(resource => 
-      resource.format?.toLowerCase() === 'tiff' || 
-      resource.format?.toLowerCase() === 'geotiff' ||
-      resource.name?.toLowerCase().includes('.tif') ||
-      resource.url?.toLowerCase().includes('.tif')
-    );
+  const handleVisualizationChange = (e) => selectVisualization(e.target.value);
 
-    if (tiffResources.length === 0) {
-      throw new Error('No TIFF files found in dataset');
+  // Local files join the raster list of the product their name suggests, and
+  // the first one is shown straight away
+  const handleLocalFiles = (files) => {
+    const tiffs = files.filter(isGeoTiffFile);
+    if (tiffs.length < files.length) {
+      setError(`Only GeoTIFF files can be opened: ${files.filter(f => !isGeoTiffFile(f)).map(f => f.name).join(', ')}`);
+    } else {
+      setError(null);
     }
+    if (tiffs.length === 0) return;
+
+    const resources = tiffs.map(createLocalResource);
+    setLocalRasters(current => [
+      ...resources,
+      ...current.filter(r => !resources.some(added => added.id === r.id)),
+    ]);
 
-    // Sort by date (newest first) and add display names
-    const sortedTiffs = tiffResources
-      .sort((a, b) => {
-        const dateA = new Date(a.created || a.last_modified || 0);
-        const dateB = new Date(b.created || b.last_modified || 0);
-        return dateB - dateA;
-      })
-      .map((resource, index) => ({
-        ...resource,
-        displayName: resource.name || `Raster ${index + 1}`,
-        id: resource.id || `raster-${index}`
-      }));
-
-    return sortedTiffs;
+    const type = getVisualizationForResource(resources[0]);
+    if (type !== visualizationType) selectVisualization(type);
+    setSelectedRaster(resources[0]);
   };
 
-  const loadDatasetInfo = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const dataset = await fetchDatasetInfo();
-      setDatasetInfo(dataset);
-      
-      const tiffResources = getAllTiffResources(dataset);
-      setAvailableRasters(tiffResources);
-      
-      // Auto-select the first (most recent) raster
-      if (tiffResources.length > 0) {
-        setSelectedRaster(tiffResources[0]);
-      }
-      
-    } catch (err) {
-      console.error('Error loading dataset info:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
+  const isDraggingFile = useFileDrop(mapAreaRef, handleLocalFiles);
+
+  // Views reached with back/forward, or a link followed inside the app
+  const applyView = (view) => {
+    const type = view.product || visualizationType;
+    const defaults = getVisualizationDefaults(type);
+    setVisualizationType(type);
+    setStretch({ ...defaults.stretch, ...view.stretch });
+    setColormap(view.colormap || defaults.colormap);
+    setOpacity(view.opacity ?? DEFAULT_OPACITY);
+    setBlendMode(view.blendMode || 'normal');
+    setBasemapId(view.basemap);
+    setInspectedPoint(view.point);
+    setTimeSeriesPoint(view.series);
+    restoreReference(view.reference);
+    // Settings the view leaves out go back to their defaults, as on opening it
+    setComponent(view.vertical ? 'vertical' : 'los');
+    setIncidenceSource(view.vertical?.source || null);
+    setIncidenceAngle(view.vertical?.angle ?? DEFAULT_INCIDENCE_ANGLE);
+    setIncidenceRasterId(view.vertical?.rasterId || null);
+    setBandOverride(view.band);
+    setCompositeBands(view.rgb);
+    setMaskEnabled(Boolean(view.mask));
+    setMaskSettings({
+      source: view.mask?.source || null,
+      rasterId: view.mask?.rasterId || null,
+      band: view.mask?.band ?? 1,
+    });
+    setCoherenceThreshold(view.mask?.threshold ?? DEFAULT_COHERENCE_THRESHOLD);
+    setIsPlaying(false);
+    setLockedRange(null);
+
+    if (view.raster && view.raster !== selectedRaster?.id) {
+      const resource = rasters.find(r => r.id === view.raster);
+      if (resource) setSelectedRaster(resource);
+      else requestedRasterRef.current = view.raster;
+      keepViewRef.current = Boolean(view.center);
+    }
+    if (view.center) {
+      mapRef.current.setView(view.center, view.zoom ?? mapRef.current.getZoom());
     }
   };
 
-  const loadTiffData = async (rasterResource) => {
-    if (!rasterResource) return;
-    
-    try {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        const response = await fetch(rasterResource.url, {
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Failed to fetch TIFF file: ${response.status} ${response.statusText}`);
-        }
-        
-        const arrayBuffer = await response.arrayBuffer();
-        const geotiff = await fromArrayBuffer(arrayBuffer);
-        
-        setTiffData({
-          geotiff,
-          info: rasterResource,
-          isActualData: true
-        });
-        
-      } catch (georasterError) {
-        console.log('Georaster loading failed, using placeholder:', georasterError.message);
-        
-        setTiffData({
-          placeholder: true,
-          info: rasterResource,
-          isActualData: false,
-          error: georasterError.message
-        });
+  const viewSearch = useUrlState({
+    // Local files cannot be reopened from a link, so they are left out
+    raster: selectedRaster ? (selectedRaster.local ? null : selectedRaster.id) : requestedRasterRef.current,
+    product: visualizationType,
+    center: mapView.center,
+    zoom: mapView.zoom,
+    colormap,
+    stretch,
+    opacity,
+    blendMode,
+    basemap: basemap.id,
+    point: inspectedPoint,
+    series: timeSeriesPoint,
+    reference,
+    vertical: component === 'vertical'
+      ? {
+        source: effectiveIncidenceSource,
+        angle: incidenceAngle,
+        rasterId: incidenceRaster && !incidenceRaster.local ? incidenceRaster.id : null,
       }
-      
-    } catch (err) {
-      console.error('Error loading TIFF data:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
+      : null,
+    band: bandOverride,
+    rgb: compositeBands,
+    mask: maskEnabled
+      ? {
+        ...effectiveMaskSettings,
+        threshold: coherenceThreshold,
+        rasterId: coherenceRasters.some(r => r.id === maskSettings.rasterId && !r.local) ? maskSettings.rasterId : null,
+      }
+      : null,
+  }, applyView);
+
+  // Edits made while the stretch is locked re-lock it at the new range
+  const handleStretchChange = (next) => {
+    setStretch(next);
+    if (lockedRange) {
+      setLockedRange(computeStretchRange(displayedRaster?.stats, next));
     }
   };
 
-  const handleRasterChange = (e) => {
-    const rasterId = e.target.value;
-    const raster = availableRasters.find(r => r.id === rasterId);
-    setSelectedRaster(raster);
+  const handleViewModeChange = (e) => {
+    const mode = e.target.value;
+    setViewMode(mode);
+    setIsPlaying(false);
+    setLockedRange(null);
+    // Change maps need a diverging ramp so no-change sits on the neutral colour
+    setColormap(mode === 'difference'
+      ? { ...colormap, name: 'rdbu', mode: 'continuous', reversed: false }
+      : getVisualizationDefaults(visualizationType).colormap);
+  };
+
+  const handleComponentChange = (next) => {
+    setComponent(next);
+    setLockedRange(null);
+  };
+
+  // Back to values that are not relative to any reference
+  const handleReferenceReset = () => {
+    setReferencePoint(null);
+    setLockedRange(null);
+  };
+
+  const handleLockStretchChange = (locked) => {
+    setLockedRange(locked ? displayRange : null);
+  };
+
+  const handlePlayToggle = () => {
+    if (!isPlaying && !lockedRange) {
+      setLockedRange(displayRange);
+    }
+    setIsPlaying(!isPlaying);
   };
 
   return (
     <div className="h-screen w-screen overflow-hidden">
+      <InfoAccordion
+        visualizationType={visualizationType}
+        isPanelOpen={isPanelOpen}
+        onToggle={() => setIsPanelOpen(open => !open)}
+        datasetInfo={datasetInfo}
+        selectedRaster={selectedRaster}
+      />
       <main
         className={`absolute top-0 right-0 bottom-0 transition-all duration-300 ease-in-out ${
           isPanelOpen ? 'left-80 md:left-96' : 'left-0'
         }`}
       >
-        <div className="relative h-full w-full">
+        <div ref={mapAreaRef} className="relative h-full w-full">
           <header className="absolute top-0 left-1/2 -translate-x-1/2 z-[1000] mt-4 p-2 bg-white bg-opacity-90 rounded-lg shadow-lg min-w-fit max-w-4xl flex items-center gap-4">
-            <h1 className="text-xl md:text-2xl font-bold text-gray-800">Gulf Coast of United States InSAR</h1>
+            <h1 className="text-xl md:text-2xl font-bold text-gray-800">
+              {dataSource?.title || datasetInfo?.title || 'InSAR Viewer'}
+            </h1>
             <div>
-              <label htmlFor="raster-select" className="sr-only">Select Raster</label>
-              <select 
-                id="raster-select"
-                onChange={handleRasterChange} 
-                value={selectedRaster?.id || ''}
+              <label htmlFor="visualization-select" className="sr-only">Select Product</label>
+              <select
+                id="visualization-select"
+                onChange={handleVisualizationChange}
+                value={visualizationType}
                 className="p-1 border border-gray-300 rounded-md text-sm"
-                disabled={loading || availableRasters.length === 0}
+                disabled={loading}
               >
-                {availableRasters.length === 0 ? (
-                  <option value="">Loading rasters...</option>
-                ) : (
-                  availableRasters.map(raster => (
-                    <option key={raster.id} value={raster.id}>
-                      {raster.displayName}
-                    </option>
-                  ))
-                )}
+                {visualizationOptions.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
               </select>
             </div>
+            <div>
+              <label htmlFor="view-mode-select" className="sr-only">View Mode</label>
+              <select
+                id="view-mode-select"
+                onChange={handleViewModeChange}
+                value={viewMode}
+                className="p-1 border border-gray-300 rounded-md text-sm"
+              >
+                {viewModes.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+            <Link
+              to={`/datasets${getSourceSearch(window.location.search)}`}
+              className="px-2 py-1 text-sm text-blue-600 border border-blue-200 rounded hover:bg-blue-50"
+            >
+              Datasets
+            </Link>
+            <LocalFileButton onFiles={handleLocalFiles} />
+            <CopyLinkButton search={viewSearch} />
+            <CacheStatus
+              metadataOrigin={metadataOrigin}
+              rasterOrigin={displayedRaster?.origin}
+              offline={offline}
+            />
+            {viewMode === 'single' && (
+              <TimelineControl
+                frames={timelineFrames}
+                currentId={selectedRaster?.id}
+                onSelect={setSelectedRaster}
+                isPlaying={isPlaying}
+                onPlayToggle={handlePlayToggle}
+                speed={playbackSpeed}
+                onSpeedChange={setPlaybackSpeed}
+                loop={loopPlayback}
+                onLoopChange={setLoopPlayback}
+                lockStretch={Boolean(lockedRange)}
+                onLockStretchChange={handleLockStretchChange}
+                disabled={loading || rasters.length === 0}
+              />
+            )}
           </header>
-          {loading && (
+          {(loading || (frameLoading && !isPlaying)) && (
             <div className="absolute inset-0 bg-gray-100 bg-opacity-75 flex items-center justify-center z-[1001]">
               <div className="text-center">
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
-                <p className="text-gray-600">Loading DYNAMO TIFF data...</p>
+                <p className="text-gray-600">{describeProgress(loading ? null : frameProgress)}</p>
+                {!loading && frameProgress?.phase === 'download' && frameProgress.total && (
+                  <div className="h-1.5 w-48 mt-2 mx-auto bg-gray-200 rounded">
+                    <div
+                      className="h-1.5 bg-blue-500 rounded transition-all"
+                      style={{ width: `${(frameProgress.loaded / frameProgress.total) * 100}%` }}
+                    />
+                  </div>
+                )}
               </div>
             </div>
           )}
           <div
             ref={mapContainerRef}
-            className="h-full w-full"
+            className={`h-full ${viewMode === 'dual' ? 'w-1/2' : 'w-full'}`}
             style={{ 
               minHeight: '400px', 
               position: 'relative', 
@@ -345,22 +1186,198 @@ const MapComponent = () => {
             }}
             aria-label="Map showing DYNAMO TIFF data visualization"
           />
+          {isDraggingFile && (
+            <div className="absolute inset-4 z-[1002] flex items-center justify-center rounded-lg border-4 border-dashed border-blue-400 bg-blue-50 bg-opacity-80 pointer-events-none">
+              <p className="text-lg font-semibold text-blue-700">Drop a GeoTIFF to view it. It stays on this computer.</p>
+            </div>
+          )}
+          {viewMode === 'dual' && (
+            <div className="absolute top-0 right-0 h-full w-1/2" style={{ zIndex: 1 }}>
+              <SyncedMap
+                primaryMapRef={mapRef}
+                raster={comparedRaster}
+                colorScale={colorScale}
+                resampling={resampling}
+                opacity={opacity}
+                blendMode={blendMode}
+                basemap={basemap}
+                label={compareResourceB ? `B: ${compareResourceB.displayName}` : null}
+              />
+            </div>
+          )}
+          {viewMode === 'swipe' && (
+            <SwipeDivider
+              position={swipePosition}
+              onChange={comparison.setSwipePosition}
+              labels={comparedRaster ? { a: compareResourceA?.displayName, b: compareResourceB?.displayName } : null}
+            />
+          )}
 
-          {error && (
+          {(dataSourceError || error || frameError || framePair.error) && (
             <div className="absolute top-20 left-1/2 -translate-x-1/2 z-[999] bg-red-100 border border-red-300 rounded-lg p-3">
-              <p className="text-sm text-red-800">{error}</p>
-              
+              <p className="text-sm text-red-800">{dataSourceError || error || frameError || framePair.error}</p>
+              {dataSource && (
                 <button 
                   onClick={loadDatasetInfo}
                   className="mt-2 px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600"
                 >
                   Retry
                 </button>
+              )}
             </div>
           )}
-        {legendConfig && <Legend config={legendConfig} />}
+          {detail.loading && (
+            <div className="absolute bottom-12 left-4 z-[1000] px-3 py-1 bg-white bg-opacity-90 rounded-md shadow text-xs text-gray-600 pointer-events-none">
+              Loading detail for this view&hellip;
+            </div>
+          )}
+          {hoverInfo && (
+            <div className="absolute bottom-4 left-4 z-[1000] px-3 py-1 bg-white bg-opacity-90 rounded-md shadow text-xs text-gray-700 font-mono pointer-events-none">
+              {hoverInfo.lat.toFixed(4)}, {hoverInfo.lng.toFixed(4)} &middot;{' '}
+              {hoverInfo.isNoData ? 'No data' : formatLegendNumber(hoverInfo.value)}
+            </div>
+          )}
+          <div className="absolute top-4 right-4 z-[1000] w-64 space-y-2">
+            {isComparing && (
+              <CompareControl
+                title={viewModes.find(mode => mode.value === viewMode).label}
+                frames={timelineFrames}
+                selection={comparison.selection}
+                onSelectionChange={comparison.setSelection}
+                labels={comparison.labels}
+                threshold={comparison.differenceThreshold}
+                onThresholdChange={viewMode === 'difference' ? comparison.setDifferenceThreshold : undefined}
+                summary={differenceSummary}
+                units={currentVisualization.units}
+                loading={framePair.loading}
+              />
+            )}
+            {viewMode === 'single' && bandDescriptions.length > 1 && (
+              <BandControl
+                bands={bandDescriptions}
+                band={band}
+                onBandChange={handleBandChange}
+                compositeBands={compositeBands}
+                onCompositeBandsChange={setCompositeBands}
+                channelStretch={channelStretch}
+                onChannelStretchChange={setChannelStretchAt}
+                channelRanges={channelRanges}
+                loading={composite.loading}
+                error={composite.error}
+              />
+            )}
+            {displayedRaster && (
+              <>
+                <StretchControl
+                  stretch={stretch}
+                  onChange={handleStretchChange}
+                  stats={displayedRaster.stats}
+                  displayRange={displayRange}
+                  resampling={resampling}
+                  onResamplingChange={setResampling}
+                />
+                {!isComposite && <ColormapControl colormap={colormap} onChange={setColormap} />}
+              </>
+            )}
+            {displayedRaster && currentVisualization.lineOfSight && (
+              <MaskControl
+                enabled={maskEnabled}
+                onEnabledChange={setMaskEnabled}
+                settings={effectiveMaskSettings}
+                onSettingsChange={setMaskSettings}
+                threshold={coherenceThreshold}
+                onThresholdChange={setCoherenceThreshold}
+                coherenceRasters={coherenceRasters}
+                maskedFractions={maskedFractions}
+                loading={coherence.loading}
+                error={coherence.error}
+              />
+            )}
+            {displayedRaster && currentVisualization.lineOfSight && (
+              <ComponentControl
+                component={component}
+                onComponentChange={handleComponentChange}
+                source={effectiveIncidenceSource}
+                onSourceChange={setIncidenceSource}
+                angle={incidenceAngle}
+                onAngleChange={setIncidenceAngle}
+                metadataAngle={metadataIncidence}
+                incidenceRasters={incidenceRasters}
+                incidenceRasterId={incidenceRaster?.id}
+                onIncidenceRasterChange={setIncidenceRasterId}
+                loading={incidenceLoading}
+                error={incidenceError}
+                unavailable={component === 'vertical' && !incidence}
+              />
+            )}
+            {displayedRaster && (
+              <ReferenceControl
+                reference={reference}
+                value={displayedRaster.reference?.value ?? null}
+                radius={referenceRadius}
+                onRadiusChange={setReferenceRadius}
+                picking={activeTool === 'reference'}
+                onPickToggle={() => setActiveTool(activeTool === 'reference' ? null : 'reference')}
+                onReset={handleReferenceReset}
+                units={currentVisualization.units}
+              />
+            )}
+            <LayerControl
+              basemaps={basemaps}
+              basemapId={basemap.id}
+              onBasemapChange={setBasemapId}
+              opacity={opacity}
+              onOpacityChange={setOpacity}
+              blendMode={blendMode}
+              onBlendModeChange={setBlendMode}
+            />
+          </div>
+          <MapToolbar activeTool={activeTool} onToolChange={setActiveTool}>
+            <AoiImportButton onImport={handleAoiImport} onError={setError} />
+          </MapToolbar>
+          {aois.length > 0 && (
+            <AoiPanel
+              key={visualizationType}
+              aois={aoiResults}
+              selectedId={selectedAoiId}
+              onSelect={setSelectedAoiId}
+              onRemove={handleAoiRemove}
+              onClear={() => setAois([])}
+              thresholds={aoiThresholds}
+              onThresholdsChange={handleAoiThresholdsChange}
+              visualization={currentVisualization}
+              raster={displayedRaster}
+            />
+          )}
+          {transect.line && (
+            <ProfilePanel
+              transect={transect.line}
+              profile={transect.profile}
+              frames={transect.frames}
+              overlayIds={transect.overlayIds}
+              onOverlayIdsChange={transect.setOverlayIds}
+              resampling={transect.resampling}
+              onResamplingChange={transect.setResampling}
+              spacing={transect.spacing}
+              onSpacingChange={transect.setSpacing}
+              visualization={currentVisualization}
+              rasterName={displayedRaster?.name}
+              onHover={transect.setHover}
+              onClose={transect.close}
+            />
+          )}
+          {timeSeriesPoint && (
+            <TimeSeriesPanel
+              point={timeSeriesPoint}
+              series={timeSeries}
+              visualization={currentVisualization}
+              onClose={() => setTimeSeriesPoint(null)}
+            />
+          )}
+        {legendConfig && !isComposite && <Legend config={legendConfig} />}
         </div>
       </main>
+      {pixelPopupPortal}
     </div>
   );
 };
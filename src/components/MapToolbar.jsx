@@ -0,0 +1,29 @@
+import React from 'react';
+import { mapTools } from '../utils/mapConstants';
+
+// Tool buttons; `children` adds one-shot actions below them
+const MapToolbar = ({ activeTool, onToolChange, children }) => {
+  return (
+    <div className="absolute top-24 left-3 z-[1000] flex flex-col gap-1 p-1 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200">
+      {mapTools.map(tool => {
+        const isActive = activeTool === tool.value;
+        return (
+          <button
+            key={tool.value}
+            onClick={() => onToolChange(isActive ? null : tool.value)}
+            title={tool.description}
+            aria-pressed={isActive}
+            className={`px-2 py-1 text-xs rounded-md text-left transition-colors ${
+              isActive ? 'bg-blue-500 text-white' : 'text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {tool.label}
+          </button>
+        );
+      })}
+      {children && <div className="flex flex-col gap-1 pt-1 border-t border-gray-200">{children}</div>}
+    </div>
+  );
+};
+
+export default MapToolbar;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { coherenceMaskSources } from '../utils/mapConstants';
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+// Hides pixels whose coherence is below the threshold. The coherence comes
+// from a companion raster of the package or from a band of the same file;
+// `maskedFractions` reports what the mask removed from each raster in view.
+const MaskControl = ({
+  enabled,
+  onEnabledChange,
+  settings,
+  onSettingsChange,
+  threshold,
+  onThresholdChange,
+  coherenceRasters,
+  maskedFractions,
+  loading,
+  error,
+}) => {
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200 text-xs text-gray-700 space-y-2">
+      <label className="flex items-center gap-2 text-sm font-semibold text-gray-800">
+        <input type="checkbox" checked={enabled} onChange={e => onEnabledChange(e.target.checked)} />
+        Mask low coherence
+      </label>
+
+      {enabled && (
+        <>
+          <select
+            value={settings.source}
+            onChange={e => update({ source: e.target.value })}
+            className="w-full p-0.5 border border-gray-300 rounded"
+          >
+            {coherenceMaskSources.map(option => (
+              <option
+                key={option.value}
+                value={option.value}
+                disabled={option.value === 'raster' && coherenceRasters.length === 0}
+              >
+                {option.label}
+              </option>
+            ))}
+          </select>
+
+          {settings.source === 'raster' && coherenceRasters.length > 0 && (
+            <select
+              value={settings.rasterId || ''}
+              onChange={e => update({ rasterId: e.target.value || null })}
+              className="w-full p-0.5 border border-gray-300 rounded"
+            >
+              <option value="">Nearest in date</option>
+              {coherenceRasters.map(resource => (
+                <option key={resource.id} value={resource.id}>{resource.displayName}</option>
+              ))}
+            </select>
+          )}
+          {settings.source === 'band' && (
+            <label className="flex items-center justify-between gap-2">
+              <span>Coherence band</span>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={settings.band + 1}
+                onChange={e => update({ band: Math.max(0, (parseInt(e.target.value, 10) || 1) - 1) })}
+                className="w-16 p-0.5 border border-gray-300 rounded"
+              />
+            </label>
+          )}
+
+          <div>
+            <label htmlFor="coherence-threshold" className="flex justify-between font-medium mb-1">
+              <span>Coherence threshold</span>
+              <span className="font-mono">{threshold.toFixed(2)}</span>
+            </label>
+            <input
+              id="coherence-threshold"
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={threshold}
+              onChange={e => onThresholdChange(Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+
+          {maskedFractions.map(({ label, fraction }) => (
+            <p key={label || 'raster'} className="text-gray-600">
+              {label ? `${label}: ` : ''}{formatPercent(fraction)} of valid pixels masked
+            </p>
+          ))}
+          {loading && <p className="text-gray-500">Loading coherence&hellip;</p>}
+          {error && <p className="text-red-700">{error}</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MaskControl;
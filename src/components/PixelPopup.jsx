@@ -0,0 +1,111 @@
+import React from 'react';
+import { formatLegendNumber } from '../utils/mapConstants';
+
+const rowStyle = { display: 'contents' };
+
+// With a `reference`, the value is relative to it and the value before
+// re-referencing is shown too. `component` names what a line-of-sight product is shown as.
+// `coherence` ({ value, threshold }) is given when the raster is coherence-masked.
+// `bands` ({ label, value }) lists every band of a multi-band file at the pixel.
+const PixelPopup = ({ pixel, colorBin, rasterName, reference, component, coherence, bands }) => {
+  const isMasked = Boolean(coherence) && !(coherence.value >= coherence.threshold);
+
+  return (
+    <div style={{ fontFamily: 'Arial, sans-serif', minWidth: '200px' }}>
+      <h3 style={{
+        margin: '0 0 8px 0',
+        fontSize: '14px',
+        fontWeight: 'bold',
+        color: '#1f2937'
+      }}>
+        {rasterName || 'Raster value'}
+      </h3>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'auto 1fr',
+        gap: '4px 12px',
+        fontSize: '12px'
+      }}>
+        <div style={rowStyle}>
+          <strong>{reference ? 'Relative value:' : 'Value:'}</strong>
+          <span>{pixel.isNoData ? (isMasked ? 'Masked' : 'No data') : formatLegendNumber(pixel.value)}</span>
+        </div>
+        {coherence && (
+          <div style={rowStyle}>
+            <strong>Coherence:</strong>
+            <span>{Number.isFinite(coherence.value) ? coherence.value.toFixed(2) : 'No data'}</span>
+          </div>
+        )}
+        {component && (
+          <div style={rowStyle}>
+            <strong>Component:</strong>
+            <span>{component}</span>
+          </div>
+        )}
+        {reference && !pixel.isNoData && (
+          <div style={rowStyle}>
+            <strong>Unreferenced:</strong>
+            <span>{formatLegendNumber(pixel.value + reference.value)}</span>
+          </div>
+        )}
+        {reference && (
+          <div style={rowStyle}>
+            <strong>Reference:</strong>
+            <span>{reference.lat.toFixed(5)}, {reference.lng.toFixed(5)}</span>
+          </div>
+        )}
+        <div style={rowStyle}>
+          <strong>Lat / Lon:</strong>
+          <span>{pixel.lat.toFixed(5)}, {pixel.lng.toFixed(5)}</span>
+        </div>
+        <div style={rowStyle}>
+          <strong>Row / Col:</strong>
+          <span>{pixel.row}, {pixel.col}</span>
+        </div>
+        <div style={rowStyle}>
+          <strong>Band:</strong>
+          <span>{pixel.band + 1}</span>
+        </div>
+        {bands && bands.map(({ label, value }) => (
+          <div key={label} style={rowStyle}>
+            <strong>{label}:</strong>
+            <span>{value === null ? 'No data' : formatLegendNumber(value)}</span>
+          </div>
+        ))}
+        <div style={rowStyle}>
+          <strong>NoData:</strong>
+          <span>{pixel.isNoData ? 'Yes' : 'No'}</span>
+        </div>
+      </div>
+
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        marginTop: '8px',
+        paddingTop: '6px',
+        borderTop: '1px solid #e5e7eb',
+        fontSize: '11px',
+        color: '#6b7280'
+      }}>
+        {colorBin ? (
+          <>
+            <span style={{
+              width: '12px',
+              height: '12px',
+              display: 'inline-block',
+              backgroundColor: colorBin.color,
+              border: '1px solid #d1d5db'
+            }} />
+            <em>{colorBin.index === null ? colorBin.label : `Bin ${colorBin.index + 1}: ${colorBin.label}`}</em>
+          </>
+        ) : (
+          <em>{isMasked ? `Masked: coherence below ${coherence.threshold.toFixed(2)}` : 'No data'} (transparent)</em>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PixelPopup;
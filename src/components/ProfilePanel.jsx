@@ -0,0 +1,180 @@
+import React, { useMemo, useState } from 'react';
+import LineChart from './LineChart';
+import {
+  formatLegendNumber,
+  resamplingOptions,
+  profileColor,
+  profileOverlayColors,
+} from '../utils/mapConstants';
+import { getLineLength } from '../utils/transect';
+import { toCsv, downloadFile, slugify } from '../utils/exportUtils';
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const formatDistance = (metres) => `${(metres / 1000).toFixed(2)} km`;
+
+const describeFrame = ({ resource, date }) => `${date ? formatDate(date) : 'Undated'} · ${resource.displayName}`;
+
+// Colours follow a raster's place in the timeline, so they stay put however
+// the selection changes
+const overlayColor = (frames, id) =>
+  profileOverlayColors[frames.findIndex(f => f.resource.id === id) % profileOverlayColors.length];
+
+// Distance-value profile of the raster on screen along the drawn transect,
+// optionally overlaid with the same transect through other dated rasters.
+// Hovering the chart reports the distance so the map can mark the spot.
+const ProfilePanel = ({
+  transect,
+  profile,
+  frames,
+  overlayIds,
+  onOverlayIdsChange,
+  resampling,
+  onResamplingChange,
+  spacing,
+  onSpacingChange,
+  visualization,
+  rasterName,
+  onHover,
+  onClose,
+}) => {
+  const [spacingText, setSpacingText] = useState(spacing ?? '');
+  const units = visualization.units;
+  const unitLabel = units ? ` (${units})` : '';
+  const length = useMemo(() => getLineLength(transect), [transect]);
+
+  const chartSeries = useMemo(() => {
+    const toPoints = (values) => profile.samples.map((sample, i) => ({ x: sample.distance, y: values[i] }));
+    return [
+      ...(profile.current ? [{ name: `${rasterName} (on map)`, color: profileColor, points: toPoints(profile.current) }] : []),
+      ...profile.overlays.map(overlay => ({
+        name: describeFrame(overlay),
+        color: overlayColor(frames, overlay.resource.id),
+        points: toPoints(overlay.values),
+      })),
+    ];
+  }, [profile, rasterName, frames]);
+
+  const handleToggle = (id) => {
+    onOverlayIdsChange(overlayIds.includes(id) ? overlayIds.filter(other => other !== id) : [...overlayIds, id]);
+  };
+
+  // Left empty, the step follows the raster's pixel size
+  const handleSpacing = (e) => {
+    const value = Number(e.target.value);
+    setSpacingText(e.target.value);
+    onSpacingChange(e.target.value !== '' && value > 0 ? value : null);
+  };
+
+  const handleDownload = () => {
+    const columns = [
+      { key: 'distance', label: 'distance_m' },
+      { key: 'lat', label: 'lat' },
+      { key: 'lng', label: 'lng' },
+      ...(profile.current ? [{ key: 'current', label: `${rasterName}${unitLabel}` }] : []),
+      ...profile.overlays.map((overlay, i) => ({ key: `overlay${i}`, label: `${describeFrame(overlay)}${unitLabel}` })),
+    ];
+    const rows = profile.samples.map((sample, i) => ({
+      distance: sample.distance.toFixed(2),
+      lat: sample.lat.toFixed(6),
+      lng: sample.lng.toFixed(6),
+      current: profile.current?.[i],
+      ...Object.fromEntries(profile.overlays.map((overlay, j) => [`overlay${j}`, overlay.values[i]])),
+    }));
+    downloadFile(`profile-${slugify(visualization.value)}-${slugify(rasterName)}.csv`, toCsv(columns, rows));
+  };
+
+  const usesOverview = profile.overlays.some(overlay => overlay.level > 0);
+
+  return (
+    <div className="absolute bottom-10 left-4 z-[1000] w-[36rem] max-w-[60vw] max-h-[70vh] overflow-auto p-4 bg-white bg-opacity-95 rounded-lg shadow-lg border border-gray-200 text-xs text-gray-700">
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-800">{visualization.label} Profile</h3>
+          <p className="text-gray-500">
+            {formatDistance(length)}
+            {profile.samples.length > 1 &&
+              ` · ${profile.samples.length} samples every ${Number(profile.samples[1].distance.toPrecision(3))} m`}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-lg leading-none px-1"
+          aria-label="Close profile"
+        >
+          &times;
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3 mb-2">
+        <label className="flex items-center gap-1">
+          Sampling
+          <select
+            value={resampling}
+            onChange={e => onResamplingChange(e.target.value)}
+            className="p-0.5 border border-gray-300 rounded"
+          >
+            {resamplingOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          Step (m)
+          <input
+            type="number"
+            min="0"
+            value={spacingText}
+            placeholder="1 pixel"
+            onChange={handleSpacing}
+            className="w-20 p-0.5 border border-gray-300 rounded"
+          />
+        </label>
+      </div>
+
+      <LineChart
+        series={chartSeries}
+        formatX={formatDistance}
+        formatY={formatLegendNumber}
+        xLabel="Distance along transect"
+        yLabel={`${visualization.label}${unitLabel}`}
+        onHover={onHover}
+      />
+
+      {frames.length > 0 && (
+        <div className="mt-2">
+          <div className="font-semibold text-gray-800 mb-1">Overlay dated rasters</div>
+          <div className="max-h-28 overflow-auto space-y-0.5">
+            {frames.map(({ resource, date }) => (
+              <label key={resource.id} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={overlayIds.includes(resource.id)}
+                  onChange={() => handleToggle(resource.id)}
+                />
+                <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: overlayColor(frames, resource.id) }} />
+                {describeFrame({ resource, date })}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {profile.loading && <p className="text-gray-500 mt-1">Loading rasters&hellip;</p>}
+      {profile.error && <p className="text-red-700 mt-1">{profile.error}</p>}
+      {usesOverview && (
+        <p className="text-gray-500 mt-1">Streamed rasters are sampled from their overview, at a coarser resolution.</p>
+      )}
+
+      <button
+        onClick={handleDownload}
+        disabled={profile.samples.length === 0 || profile.loading}
+        className="mt-3 px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-400"
+      >
+        Download CSV
+      </button>
+    </div>
+  );
+};
+
+export default ProfilePanel;
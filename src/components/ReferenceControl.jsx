@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { formatLegendNumber } from '../utils/mapConstants';
+
+// Reference point (or the area within a radius of it) that every value is
+// shown relative to. `value` is what was subtracted from the raster on
+// screen, null when the reference has no data there.
+const ReferenceControl = ({ reference, value, radius, onRadiusChange, picking, onPickToggle, onReset, units }) => {
+  const [radiusText, setRadiusText] = useState(String(radius));
+  const unitSuffix = units ? ` ${units}` : '';
+
+  const handleRadius = (e) => {
+    const next = Number(e.target.value);
+    setRadiusText(e.target.value);
+    if (e.target.value !== '' && next >= 0) onRadiusChange(next);
+  };
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200 text-xs text-gray-700 space-y-2">
+      <div className="text-sm font-semibold text-gray-800">Reference</div>
+
+      {reference ? (
+        <div>
+          <div className="font-mono">{reference.lat.toFixed(5)}, {reference.lng.toFixed(5)}</div>
+          {value === null ? (
+            <p className="text-amber-700">No data at the reference in this raster; values are not re-referenced.</p>
+          ) : (
+            <p className="text-gray-500">{formatLegendNumber(value)}{unitSuffix} subtracted from every pixel</p>
+          )}
+        </div>
+      ) : (
+        <p className="text-gray-500">Values are not re-referenced.</p>
+      )}
+
+      <label className="flex items-center justify-between gap-2">
+        <span>Average within (m)</span>
+        <input
+          type="number"
+          min="0"
+          value={radiusText}
+          onChange={handleRadius}
+          title="0 uses the single pixel under the reference"
+          className="w-20 p-0.5 border border-gray-300 rounded"
+        />
+      </label>
+
+      <div className="flex gap-2">
+        <button
+          onClick={onPickToggle}
+          aria-pressed={picking}
+          className={`flex-1 px-2 py-1 rounded ${picking ? 'bg-blue-500 text-white' : 'border border-gray-300 hover:bg-gray-100'}`}
+        >
+          {picking ? 'Click the map…' : 'Pick on map'}
+        </button>
+        <button
+          onClick={onReset}
+          disabled={!reference}
+          className="flex-1 px-2 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:text-gray-400 disabled:hover:bg-transparent"
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReferenceControl;
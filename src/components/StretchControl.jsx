@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { stretchOptions, resamplingOptions, formatLegendNumber } from '../utils/mapConstants';
+
+const inputClass = 'w-20 p-1 border border-gray-300 rounded-md text-xs';
+
+const StretchControl = ({ stretch, onChange, stats, displayRange, resampling, onResamplingChange }) => {
+  const [isOpen, setIsOpen] = useState(true);
+
+  const update = (changes) => onChange({ ...stretch, ...changes });
+
+  const handleMethodChange = (e) => {
+    const method = e.target.value;
+    // Start manual entry from whatever range is currently on screen
+    if (method === 'manual' && displayRange) {
+      update({ method, min: displayRange.min, max: displayRange.max });
+    } else {
+      update({ method });
+    }
+  };
+
+  const numberInput = (key, props = {}) => (
+    <input
+      type="number"
+      value={stretch[key] ?? ''}
+      onChange={(e) => update({ [key]: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+      className={inputClass}
+      {...props}
+    />
+  );
+
+  return (
+    <div className="p-3 bg-white bg-opacity-90 rounded-lg shadow-lg border border-gray-200">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex justify-between items-center text-sm font-semibold text-gray-800"
+        aria-expanded={isOpen}
+        aria-controls="stretch-control-body"
+      >
+        Colour Stretch
+        <span className="text-gray-500">{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div id="stretch-control-body" className="mt-3 space-y-3 text-xs text-gray-700">
+          <div>
+            <label htmlFor="stretch-method" className="block font-medium mb-1">Method</label>
+            <select
+              id="stretch-method"
+              value={stretch.method}
+              onChange={handleMethodChange}
+              className="w-full p-1 border border-gray-300 rounded-md text-sm"
+            >
+              {stretchOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {stretch.method === 'percentile' && (
+            <div className="flex items-center gap-2">
+              <span>Clip</span>
+              {numberInput('lowPercentile', { min: 0, max: 50, step: 0.5, 'aria-label': 'Lower percentile' })}
+              <span>–</span>
+              {numberInput('highPercentile', { min: 50, max: 100, step: 0.5, 'aria-label': 'Upper percentile' })}
+              <span>%</span>
+            </div>
+          )}
+
+          {stretch.method === 'stddev' && (
+            <div className="flex items-center gap-2">
+              <span>Mean ±</span>
+              {numberInput('stdDevs', { min: 0.5, max: 5, step: 0.5, 'aria-label': 'Standard deviations' })}
+              <span>σ</span>
+            </div>
+          )}
+
+          {stretch.method === 'manual' && (
+            <div className="flex items-center gap-2">
+              {numberInput('min', { step: 'any', 'aria-label': 'Minimum value' })}
+              <span>to</span>
+              {numberInput('max', { step: 'any', 'aria-label': 'Maximum value' })}
+            </div>
+          )}
+
+          {displayRange && (
+            <p className="font-mono">
+              Range: {formatLegendNumber(displayRange.min)} to {formatLegendNumber(displayRange.max)}
+            </p>
+          )}
+
+          {onResamplingChange && (
+            <div className="flex items-center gap-2">
+              <label htmlFor="stretch-resampling">Resampling</label>
+              <select
+                id="stretch-resampling"
+                value={resampling}
+                onChange={(e) => onResamplingChange(e.target.value)}
+                className="flex-1 p-1 border border-gray-300 rounded-md text-xs"
+              >
+                {resamplingOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {stats && stats.count > 0 && (
+            <div className="pt-2 border-t border-gray-200 grid grid-cols-2 gap-1 text-gray-500">
+              <span>Min: {formatLegendNumber(stats.min)}</span>
+              <span>Max: {formatLegendNumber(stats.max)}</span>
+              <span>Mean: {formatLegendNumber(stats.mean)}</span>
+              <span>Std: {formatLegendNumber(stats.std)}</span>
+              <span className="col-span-2">Valid pixels: {stats.count.toLocaleString()}</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StretchControl;
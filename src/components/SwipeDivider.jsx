@@ -0,0 +1,67 @@
+import React, { useRef } from 'react';
+
+const clamp = (value) => Math.min(0.98, Math.max(0.02, value));
+
+// Draggable vertical divider of the swipe comparison. `position` is the
+// fraction of the map width left of the divider.
+const SwipeDivider = ({ position, onChange, labels }) => {
+  const containerRef = useRef(null);
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    const bounds = containerRef.current.getBoundingClientRect();
+
+    const handleMove = (event) => {
+      onChange(clamp((event.clientX - bounds.left) / bounds.width));
+    };
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') onChange(clamp(position - 0.02));
+    if (e.key === 'ArrowRight') onChange(clamp(position + 0.02));
+  };
+
+  return (
+    <div ref={containerRef} className="absolute inset-0 z-[900] pointer-events-none">
+      <div
+        className="absolute top-0 bottom-0 w-1 -ml-0.5 bg-white shadow pointer-events-auto cursor-ew-resize"
+        style={{ left: `${position * 100}%` }}
+        onPointerDown={handlePointerDown}
+      >
+        <button
+          type="button"
+          onKeyDown={handleKeyDown}
+          className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 w-8 h-8 rounded-full bg-white border border-gray-300 shadow text-gray-600 text-xs cursor-ew-resize"
+          aria-label="Drag to compare rasters"
+        >
+          &harr;
+        </button>
+      </div>
+      {labels && (
+        <>
+          <span
+            className="absolute bottom-12 px-2 py-0.5 bg-white bg-opacity-90 rounded shadow text-xs text-gray-700 -translate-x-full -ml-2"
+            style={{ left: `${position * 100}%` }}
+          >
+            {labels.a}
+          </span>
+          <span
+            className="absolute bottom-12 px-2 py-0.5 bg-white bg-opacity-90 rounded shadow text-xs text-gray-700 ml-2"
+            style={{ left: `${position * 100}%` }}
+          >
+            {labels.b}
+          </span>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SwipeDivider;
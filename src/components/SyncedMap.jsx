@@ -0,0 +1,145 @@
+import React, { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import PixelPopup from './PixelPopup';
+import { useMapPopup } from './hooks/useMapPopup';
+import {
+  RASTER_PANE,
+  createBaseLayer,
+  createRasterPanes,
+  setRasterBlendMode,
+  setRasterOpacity,
+} from '../utils/rasterOverlay';
+import { createRasterTileLayer } from '../utils/rasterTileLayer';
+import { getPixelInfo } from '../utils/rasterUtils';
+
+// Second map shown next to the main one, locked to its centre and zoom in
+// both directions. Draws `raster` over the basemap of the main map, with its
+// colour scale, opacity and blending.
+const SyncedMap = ({ primaryMapRef, raster, colorScale, resampling, opacity, blendMode, basemap, label }) => {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const rasterRef = useRef(null);
+  const colorScaleRef = useRef(null);
+  const resamplingRef = useRef(resampling);
+  const layerRef = useRef(null);
+  const baseLayerRef = useRef(null);
+  const { open: openPopup, portal: popupPortal } = useMapPopup();
+
+  rasterRef.current = raster;
+  colorScaleRef.current = colorScale;
+  resamplingRef.current = resampling;
+
+  useEffect(() => {
+    const primary = primaryMapRef.current;
+    if (!containerRef.current || !primary) return;
+
+    const map = L.map(containerRef.current, { zoomControl: false })
+      .setView(primary.getCenter(), primary.getZoom(), { animate: false });
+    createRasterPanes(map);
+    mapRef.current = map;
+
+    // Guard so one map following the other does not echo back
+    let syncing = false;
+    const follow = (source, target) => () => {
+      if (syncing) return;
+      syncing = true;
+      target.setView(source.getCenter(), source.getZoom(), { animate: false });
+      syncing = false;
+    };
+    const followPrimary = follow(primary, map);
+    const followSecondary = follow(map, primary);
+    primary.on('move', followPrimary);
+    map.on('move', followSecondary);
+
+    const handleClick = (e) => {
+      const pixel = getPixelInfo(rasterRef.current, e.latlng);
+      if (!pixel) return;
+      openPopup(map, e.latlng, (
+        <PixelPopup
+          pixel={pixel}
+          colorBin={pixel.isNoData ? null : colorScaleRef.current?.describe(pixel.value) ?? null}
+          rasterName={rasterRef.current.name}
+        />
+      ));
+    };
+    map.on('click', handleClick);
+
+    // The main map has just been narrowed to make room for this one
+    const timer = setTimeout(() => {
+      primary.invalidateSize();
+      map.invalidateSize();
+      followPrimary();
+    }, 0);
+
+    return () => {
+      clearTimeout(timer);
+      primary.off('move', followPrimary);
+      map.remove();
+      mapRef.current = null;
+    };
+  }, [primaryMapRef, openPopup]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    const scale = colorScaleRef.current;
+    if (!map || !raster || !scale) return;
+
+    try {
+      layerRef.current = createRasterTileLayer(raster, scale, {
+        pane: RASTER_PANE,
+        resampling: resamplingRef.current,
+      }).addTo(map);
+    } catch (err) {
+      console.error('Error rendering comparison raster:', err);
+    }
+
+    return () => {
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+    };
+  }, [raster]);
+
+  useEffect(() => {
+    if (layerRef.current && colorScale) layerRef.current.setColorScale(colorScale);
+  }, [colorScale]);
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setResampling(resampling);
+  }, [resampling]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (baseLayerRef.current) baseLayerRef.current.remove();
+    baseLayerRef.current = createBaseLayer(basemap).addTo(map);
+  }, [basemap]);
+
+  useEffect(() => {
+    if (mapRef.current) setRasterOpacity(mapRef.current, opacity);
+  }, [opacity]);
+
+  useEffect(() => {
+    if (mapRef.current) setRasterBlendMode(mapRef.current, blendMode);
+  }, [blendMode]);
+
+  return (
+    <div className="relative h-full w-full border-l-2 border-white">
+      <div
+        ref={containerRef}
+        className="h-full w-full"
+        style={{ minHeight: '400px', backgroundColor: '#f0f0f0' }}
+        aria-label="Comparison map synchronised with the main map"
+      />
+      {label && (
+        <span className="absolute bottom-12 left-2 z-[1000] px-2 py-0.5 bg-white bg-opacity-90 rounded shadow text-xs text-gray-700">
+          {label}
+        </span>
+      )}
+      {popupPortal}
+    </div>
+  );
+};
+
+export default SyncedMap;
@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import LineChart from './LineChart';
+import { formatLegendNumber } from '../utils/mapConstants';
+import { summarizeTimeSeries } from '../utils/timeSeries';
+import { toCsv, downloadFile, slugify } from '../utils/exportUtils';
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const TimeSeriesPanel = ({ point, series, visualization, onClose }) => {
+  const summary = useMemo(() => summarizeTimeSeries(series.points), [series.points]);
+  const units = visualization.units;
+  const unitSuffix = units ? ` ${units}` : '';
+  const maskedCount = series.points.filter(p => p.masked).length;
+  const hasCoherence = series.points.some(p => p.coherence !== null);
+
+  const chartSeries = useMemo(() => {
+    const valueSeries = {
+      name: visualization.label,
+      color: '#7C3AED',
+      points: summary.withCumulative.map(p => ({ x: p.date.getTime(), y: p.value })),
+    };
+    if (!summary.trend) return [valueSeries];
+
+    const dates = summary.withCumulative.map(p => p.date);
+    const ends = [dates[0], dates[dates.length - 1]];
+    return [
+      valueSeries,
+      {
+        name: 'Linear trend',
+        color: '#DC2626',
+        dashed: true,
+        points: ends.map(date => ({ x: date.getTime(), y: summary.trend.valueAt(date) })),
+      },
+    ];
+  }, [summary, visualization.label]);
+
+  const handleDownload = () => {
+    const csv = toCsv(
+      [
+        { key: 'date', label: 'date' },
+        { key: 'resource', label: 'resource' },
+        { key: 'value', label: `value${units ? ` (${units})` : ''}` },
+        { key: 'cumulative', label: `cumulative${units ? ` (${units})` : ''}` },
+        ...(hasCoherence ? [{ key: 'coherence', label: 'coherence' }] : []),
+      ],
+      summary.withCumulative.map(p => ({
+        date: formatDate(p.date),
+        resource: p.resource.displayName,
+        value: p.value,
+        cumulative: p.cumulative,
+        coherence: Number.isNaN(p.coherence) ? null : p.coherence,
+      }))
+    );
+    downloadFile(`time-series-${slugify(visualization.value)}-${point.lat.toFixed(5)}-${point.lng.toFixed(5)}.csv`, csv);
+  };
+
+  return (
+    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-[1000] w-[36rem] max-w-[90vw] p-4 bg-white bg-opacity-95 rounded-lg shadow-lg border border-gray-200">
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-800">{visualization.label} Time Series</h3>
+          <p className="text-xs text-gray-500 font-mono">{point.lat.toFixed(5)}, {point.lng.toFixed(5)}</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-lg leading-none px-1"
+          aria-label="Close time series"
+        >
+          &times;
+        </button>
+      </div>
+
+      {series.error && <p className="text-xs text-red-700">{series.error}</p>}
+
+      {series.loading && (
+        <div className="mb-2">
+          <div className="h-1.5 w-full bg-gray-200 rounded">
+            <div className="h-1.5 bg-blue-500 rounded transition-all" style={{ width: `${series.progress * 100}%` }} />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Sampling {series.points.length} rasters so far&hellip;
+          </p>
+        </div>
+      )}
+
+      {series.points.length > 0 && (
+        <>
+          <LineChart
+            series={chartSeries}
+            formatX={formatDate}
+            formatY={formatLegendNumber}
+            yLabel={`${visualization.label}${units ? ` (${units})` : ''}`}
+          />
+
+          <div className="grid grid-cols-3 gap-2 mt-2 text-xs text-gray-700">
+            <div>
+              <div className="text-gray-500">Cumulative</div>
+              <div className="font-semibold">
+                {summary.cumulative === null ? 'N/A' : `${formatLegendNumber(summary.cumulative)}${unitSuffix}`}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Trend velocity</div>
+              <div className="font-semibold">
+                {summary.trend ? `${formatLegendNumber(summary.trend.slope)}${unitSuffix}/yr` : 'N/A'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Valid epochs</div>
+              <div className="font-semibold">{summary.count} / {series.points.length}</div>
+            </div>
+          </div>
+
+          {maskedCount > 0 && (
+            <p className="mt-2 text-xs text-gray-500">
+              {maskedCount} of {series.points.length} epochs masked for low coherence
+            </p>
+          )}
+
+          <button
+            onClick={handleDownload}
+            disabled={series.loading}
+            className="mt-3 px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-400"
+          >
+            Download CSV
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TimeSeriesPanel;
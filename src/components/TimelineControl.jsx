@@ -0,0 +1,106 @@
+import React from 'react';
+import { playbackSpeeds } from '../utils/mapConstants';
+
+const formatFrameDate = (frame) =>
+  frame.date ? frame.date.toISOString().slice(0, 10) : frame.resource.displayName;
+
+const buttonClass = 'px-2 py-1 text-sm rounded-md border border-gray-300 hover:bg-gray-100 disabled:opacity-40';
+
+// Timeline over the dated rasters of the current product, oldest on the left
+const TimelineControl = ({
+  frames,
+  currentId,
+  onSelect,
+  isPlaying,
+  onPlayToggle,
+  speed,
+  onSpeedChange,
+  loop,
+  onLoopChange,
+  lockStretch,
+  onLockStretchChange,
+  disabled,
+}) => {
+  const index = Math.max(0, frames.findIndex(frame => frame.resource.id === currentId));
+  const current = frames[index];
+  const canStep = !disabled && frames.length > 1;
+
+  const step = (delta) => {
+    const next = loop
+      ? (index + delta + frames.length) % frames.length
+      : Math.max(0, Math.min(frames.length - 1, index + delta));
+    onSelect(frames[next].resource);
+  };
+
+  if (frames.length === 0) {
+    return <span className="text-sm text-gray-500">{disabled ? 'Loading rasters...' : 'No rasters for this product'}</span>;
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-700">
+      <button onClick={() => step(-1)} disabled={!canStep} className={buttonClass} aria-label="Previous raster">
+        &#x23EE;
+      </button>
+      <button
+        onClick={onPlayToggle}
+        disabled={!canStep}
+        className={`${buttonClass} w-9`}
+        aria-label={isPlaying ? 'Pause animation' : 'Play animation'}
+      >
+        {isPlaying ? '❚❚' : '▶'}
+      </button>
+      <button onClick={() => step(1)} disabled={!canStep} className={buttonClass} aria-label="Next raster">
+        &#x23ED;
+      </button>
+
+      <label htmlFor="raster-timeline" className="sr-only">Select Raster</label>
+      <input
+        id="raster-timeline"
+        type="range"
+        min={0}
+        max={frames.length - 1}
+        value={index}
+        onChange={(e) => onSelect(frames[Number(e.target.value)].resource)}
+        disabled={disabled || frames.length < 2}
+        className="w-40"
+        list="raster-timeline-ticks"
+      />
+      <datalist id="raster-timeline-ticks">
+        {frames.map((frame, i) => <option key={frame.resource.id} value={i} />)}
+      </datalist>
+
+      <span className="font-mono text-xs w-24 truncate" title={current?.resource.displayName}>
+        {current ? formatFrameDate(current) : ''}
+      </span>
+      {current?.resource.local && (
+        <span className="px-1.5 py-0.5 text-xs rounded bg-purple-100 text-purple-800" title="Opened from this computer">
+          local
+        </span>
+      )}
+      <span className="text-xs text-gray-500">{index + 1}/{frames.length}</span>
+
+      <label htmlFor="playback-speed" className="sr-only">Playback speed</label>
+      <select
+        id="playback-speed"
+        value={speed}
+        onChange={(e) => onSpeedChange(Number(e.target.value))}
+        className="p-1 border border-gray-300 rounded-md text-xs"
+      >
+        {playbackSpeeds.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      <label className="flex items-center gap-1 text-xs">
+        <input type="checkbox" checked={loop} onChange={(e) => onLoopChange(e.target.checked)} />
+        Loop
+      </label>
+      <label className="flex items-center gap-1 text-xs" title="Use the same colour range for every frame">
+        <input type="checkbox" checked={lockStretch} onChange={(e) => onLockStretchChange(e.target.checked)} />
+        Lock stretch
+      </label>
+    </div>
+  );
+};
+
+export default TimelineControl;
@@ -0,0 +1,30 @@
+import { useCallback, useState } from 'react';
+
+// Band picked in a multi-band file instead of the product's `defaultBand`
+// (kept as null), or three bands shown as an RGB composite with a min/max
+// per channel
+export const useBandPicker = (initialBand, initialComposite, defaultBand) => {
+  const [bandOverride, setBandOverride] = useState(initialBand);
+  const [compositeBands, setCompositeBands] = useState(initialComposite);
+  const [channelStretch, setChannelStretch] = useState([null, null, null]);
+
+  const selectBand = useCallback(
+    (next) => setBandOverride(next === defaultBand ? null : next),
+    [defaultBand]
+  );
+
+  const setChannelStretchAt = useCallback((channel, entry) => {
+    setChannelStretch(current => current.map((e, i) => (i === channel ? entry : e)));
+  }, []);
+
+  return {
+    band: bandOverride ?? defaultBand,
+    bandOverride,
+    setBandOverride,
+    selectBand,
+    compositeBands,
+    setCompositeBands,
+    channelStretch,
+    setChannelStretchAt,
+  };
+};
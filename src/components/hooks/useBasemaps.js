@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { getBasemapConfig, loadAppConfig } from '../../utils/appConfig';
+
+// The basemaps of the config file. The built-in list is used until the file
+// has been read, and if it cannot be.
+export const useBasemaps = () => {
+  const [state, setState] = useState(() => getBasemapConfig({}));
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAppConfig()
+      .then((config) => {
+        if (!cancelled) setState(getBasemapConfig(config));
+      })
+      .catch((err) => console.warn('Using the built-in basemaps:', err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+};
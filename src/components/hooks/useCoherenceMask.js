@@ -0,0 +1,68 @@
+import { useEffect, useMemo, useState } from 'react';
+import { maskRaster, resampleToGrid } from '../../utils/rasterMath';
+import { getCoherenceSource } from '../../utils/coherence';
+
+// Coherence of each raster in view, for masking unreliable pixels, read from
+// where `settings` say (see getCoherenceSource). Frames come back keyed by the
+// id of the raster they mask.
+export const useCoherenceMask = (enabled, resources, settings, coherenceRasters, loadFrame) => {
+  const [frames, setFrames] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Frames already loaded stay until their replacements arrive, so stepping
+  // through dates does not flash unmasked rasters
+  useEffect(() => {
+    setError(null);
+    if (!enabled || resources.length === 0) {
+      setFrames({});
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const loadCoherence = async () => {
+      setLoading(true);
+      const loaded = {};
+      for (const resource of resources) {
+        const companion = getCoherenceSource(resource, settings, coherenceRasters);
+        if (!companion) {
+          setError('This dataset has no coherence raster.');
+          break;
+        }
+        try {
+          loaded[resource.id] = await loadFrame(companion.resource, { signal, band: companion.band });
+        } catch (err) {
+          if (signal.aborted) return;
+          console.error(`Error loading coherence for ${resource.displayName}:`, err);
+          setError(`Could not load coherence: ${err.message}`);
+        }
+        if (signal.aborted) return;
+        setFrames({ ...loaded });
+      }
+      setLoading(false);
+    };
+
+    loadCoherence();
+    return () => controller.abort();
+  }, [enabled, resources, settings, coherenceRasters, loadFrame]);
+
+  return { frames, loading, error };
+};
+
+// `frame` masked below `threshold`, or unchanged without a coherence frame.
+// The coherence is resampled onto the frame's grid once, so moving the
+// threshold only repeats the cheap masking pass.
+export const useMaskedFrame = (frame, coherenceFrame, threshold) => {
+  const coherence = useMemo(
+    () => (frame && coherenceFrame ? resampleToGrid(coherenceFrame, frame) : null),
+    [frame, coherenceFrame]
+  );
+
+  return useMemo(
+    () => (coherence ? maskRaster(frame, coherence, threshold) : frame),
+    [frame, coherence, threshold]
+  );
+};
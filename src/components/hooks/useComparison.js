@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { useFramePair } from './useFramePair';
+
+// View mode and the rasters A and B of the comparison views, loaded once a
+// comparison view is chosen. The default pair is newest (A) against oldest (B).
+export const useComparison = (timelineFrames, loadFrame) => {
+  const [viewMode, setViewMode] = useState('single');
+  const [selection, setSelection] = useState({ a: null, b: null });
+  const [differenceThreshold, setDifferenceThreshold] = useState(1);
+  const [swipePosition, setSwipePosition] = useState(0.5);
+
+  const findResource = (id) => timelineFrames.find(f => f.resource.id === id)?.resource || null;
+  const resourceA = findResource(selection.a);
+  const resourceB = findResource(selection.b);
+
+  const isComparing = viewMode !== 'single';
+  const framePair = useFramePair(isComparing, resourceA, resourceB, loadFrame);
+
+  useEffect(() => {
+    if (timelineFrames.length === 0) return;
+    const ids = timelineFrames.map(f => f.resource.id);
+    setSelection(current => ({
+      a: ids.includes(current.a) ? current.a : ids[ids.length - 1],
+      b: ids.includes(current.b) ? current.b : ids[0],
+    }));
+  }, [timelineFrames]);
+
+  const labels = viewMode === 'difference'
+    ? { a: 'Raster A', b: 'Raster B' }
+    : { a: 'Left (A)', b: 'Right (B)' };
+
+  return {
+    viewMode,
+    setViewMode,
+    isComparing,
+    selection,
+    setSelection,
+    resourceA,
+    resourceB,
+    framePair,
+    labels,
+    differenceThreshold,
+    setDifferenceThreshold,
+    swipePosition,
+    setSwipePosition,
+  };
+};
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+
+const EMPTY_COMPOSITE = { frames: null, loading: false, error: null };
+
+// Loads the red, green and blue bands of an RGB composite of `resource`
+// through the shared frame loader. `bands` holds the three band indexes.
+export const useCompositeFrames = (enabled, resource, bands, loadFrame) => {
+  const [state, setState] = useState(EMPTY_COMPOSITE);
+
+  useEffect(() => {
+    if (!enabled || !resource || !bands) {
+      setState(EMPTY_COMPOSITE);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    setState(current => ({ ...current, loading: true, error: null }));
+
+    Promise.all(bands.map(band => loadFrame(resource, { signal, band })))
+      .then((frames) => {
+        if (!signal.aborted) setState({ frames, loading: false, error: null });
+      })
+      .catch((err) => {
+        if (signal.aborted) return;
+        console.error('Error loading composite bands:', err);
+        setState({ ...EMPTY_COMPOSITE, error: `Could not load the composite bands: ${err.message}` });
+      });
+
+    return () => controller.abort();
+  }, [enabled, resource, bands, loadFrame]);
+
+  return state;
+};
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+import { createDataSource, loadDataSourceConfig, withPackage } from '../../dataSources';
+
+// The data source chosen by the URL parameters or the config file. A
+// `packageId` (from the /datasets/:id route) opens that package of the
+// configured CKAN site instead.
+export const useDataSource = (packageId = null) => {
+  const [state, setState] = useState({ source: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ source: null, error: null });
+
+    loadDataSourceConfig()
+      .then((config) => {
+        const sourceConfig = packageId ? withPackage(config, packageId) : config;
+        if (!cancelled) setState({ source: createDataSource(sourceConfig), error: null });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Error configuring the data source:', err);
+        setState({ source: null, error: `Could not configure the data source: ${err.message}` });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [packageId]);
+
+  return state;
+};
@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react';
+import { getDetailRequest, loadDetailFrame } from '../../utils/rasterWorkers';
+
+// Wait for the map to settle before asking for tiles
+const REFINE_DELAY = 250;
+
+const containsWindow = (outer, inner) =>
+  inner[0] >= outer[0] && inner[1] >= outer[1] && inner[2] <= outer[2] && inner[3] <= outer[3];
+
+// For a streamed raster, reads the finer image level matching the map zoom for
+// the visible extent after every pan or zoom. Only the tiles under the view are
+// requested, and a request still in flight is dropped when the view moves on.
+export const useDetailFrame = (mapRef, frame, enabled) => {
+  const [state, setState] = useState({ frame: null, loading: false });
+  const detailRef = useRef(null);
+
+  useEffect(() => {
+    detailRef.current = null;
+    setState({ frame: null, loading: false });
+
+    const map = mapRef.current;
+    if (!map || !enabled || !frame?.source) return;
+
+    let controller = null;
+    let timer = null;
+
+    const refine = () => {
+      const bounds = map.getBounds();
+      const request = getDetailRequest(
+        frame,
+        [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]],
+        map.getSize().x
+      );
+
+      if (!request) {
+        // The overview is detailed enough at this zoom
+        if (controller) controller.abort();
+        detailRef.current = null;
+        setState({ frame: null, loading: false });
+        return;
+      }
+
+      const current = detailRef.current;
+      if (current && current.level === request.level && containsWindow(current.window, request.viewWindow)) return;
+
+      if (controller) controller.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      setState(previous => ({ ...previous, loading: true }));
+
+      loadDetailFrame(frame, request, signal)
+        .then((decoded) => {
+          if (signal.aborted) return;
+          detailRef.current = decoded;
+          setState({ frame: decoded, loading: false });
+        })
+        .catch((err) => {
+          if (signal.aborted) return;
+          console.warn('Could not load raster detail:', err.message);
+          setState(previous => ({ ...previous, loading: false }));
+        });
+    };
+
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(refine, REFINE_DELAY);
+    };
+
+    map.on('moveend', schedule);
+    schedule();
+
+    return () => {
+      clearTimeout(timer);
+      if (controller) controller.abort();
+      map.off('moveend', schedule);
+    };
+  }, [mapRef, frame, enabled]);
+
+  return state;
+};
@@ -0,0 +1,56 @@
+import { useEffect, useRef, useState } from 'react';
+
+const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+// Accepts files dragged onto the element of `targetRef`. Returns whether a
+// file drag is over it, for showing a drop hint.
+export const useFileDrop = (targetRef, onFiles) => {
+  const [dragging, setDragging] = useState(false);
+  const onFilesRef = useRef(onFiles);
+  onFilesRef.current = onFiles;
+
+  useEffect(() => {
+    const target = targetRef.current;
+    if (!target) return undefined;
+
+    // dragenter/dragleave fire for every child crossed, so nesting is counted
+    let depth = 0;
+
+    const handleDragEnter = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth += 1;
+      setDragging(true);
+    };
+    const handleDragOver = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    };
+    const handleDragLeave = (e) => {
+      if (!hasFiles(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) setDragging(false);
+    };
+    const handleDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth = 0;
+      setDragging(false);
+      onFilesRef.current(Array.from(e.dataTransfer.files));
+    };
+
+    target.addEventListener('dragenter', handleDragEnter);
+    target.addEventListener('dragover', handleDragOver);
+    target.addEventListener('dragleave', handleDragLeave);
+    target.addEventListener('drop', handleDrop);
+    return () => {
+      target.removeEventListener('dragenter', handleDragEnter);
+      target.removeEventListener('dragover', handleDragOver);
+      target.removeEventListener('dragleave', handleDragLeave);
+      target.removeEventListener('drop', handleDrop);
+    };
+  }, [targetRef]);
+
+  return dragging;
+};
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+const EMPTY_PAIR = { a: null, b: null, loading: false, error: null };
+
+// Loads rasters A and B of a comparison through the shared frame loader
+export const useFramePair = (enabled, resourceA, resourceB, loadFrame) => {
+  const [state, setState] = useState(EMPTY_PAIR);
+
+  useEffect(() => {
+    if (!enabled || !resourceA || !resourceB) {
+      setState(EMPTY_PAIR);
+      return;
+    }
+
+    // Choosing other rasters mid-load gives up on the jobs of the previous pair
+    const controller = new AbortController();
+    const { signal } = controller;
+    setState(current => ({ ...current, loading: true, error: null }));
+
+    Promise.all([loadFrame(resourceA, { signal }), loadFrame(resourceB, { signal })])
+      .then(([a, b]) => {
+        if (signal.aborted) return;
+        setState({ a, b, loading: false, error: null });
+      })
+      .catch((err) => {
+        if (signal.aborted) return;
+        console.error('Error loading comparison rasters:', err);
+        setState({ ...EMPTY_PAIR, error: `Could not load the rasters to compare: ${err.message}` });
+      });
+
+    return () => controller.abort();
+  }, [enabled, resourceA, resourceB, loadFrame]);
+
+  return state;
+};
@@ -0,0 +1,52 @@
+import { useEffect, useMemo, useState } from 'react';
+import { isValidIncidence } from '../../utils/incidence';
+import { getVisualizationOption } from '../../utils/visualization';
+
+// The incidence product's own band, whichever band the map is showing
+const INCIDENCE_BAND = getVisualizationOption('incidence').band ?? 0;
+
+// Incidence for the vertical component from the chosen source: { angle } for
+// a constant or metadata angle, { raster } once the incidence-angle raster is
+// decoded; null while disabled or unavailable. The raster goes through
+// `loadFrame` like any other, so it is cached and shared.
+export const useIncidence = (enabled, { source, angle, metadataAngle, rasterResource }, loadFrame) => {
+  const [raster, setRaster] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setRaster(null);
+    setError(null);
+    if (!enabled || source !== 'raster' || !rasterResource) {
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    setLoading(true);
+    loadFrame(rasterResource, { signal, band: INCIDENCE_BAND })
+      .then((frame) => {
+        if (!signal.aborted) setRaster(frame);
+      })
+      .catch((err) => {
+        if (signal.aborted) return;
+        console.error('Error loading the incidence-angle raster:', err);
+        setError(`Could not load ${rasterResource.displayName}: ${err.message}`);
+      })
+      .finally(() => {
+        if (!signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [enabled, source, rasterResource, loadFrame]);
+
+  const incidence = useMemo(() => {
+    if (!enabled) return null;
+    if (source === 'raster') return raster ? { source, raster, name: rasterResource.displayName } : null;
+    const value = source === 'metadata' ? metadataAngle : angle;
+    return isValidIncidence(value) ? { source, angle: value } : null;
+  }, [enabled, source, angle, metadataAngle, raster, rasterResource]);
+
+  return { incidence, loading, error };
+};
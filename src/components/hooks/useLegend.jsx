@@ -1,30 +1,37 @@
 import { useMemo } from 'react';
-import { purpleGradientColors, formatLegendNumber } from '../../utils/mapConstants';
 
-export const useLegend = (currentVisualization, datasetInfo, visualizationType) => {
+// `product` overrides the title and description for derived products such as
+// differences. A `reference` (with the value subtracted) and the `component`
+// of line-of-sight products (see describeComponent) are noted in both. The
+// dataset is named as the page header names it: source title, then package.
+export const useLegend = (currentVisualization, dataSource, datasetInfo, visualizationType, colorScale, product, reference, component) => {
   const legendConfig = useMemo(() => {
-    if (!currentVisualization) return null;
-    
-    const min = -2;
-    const max = 0.2;
-    const numSteps = purpleGradientColors.length;
-    const step = (max - min) / numSteps;
+    if (!currentVisualization || !colorScale) return null;
+
+    const isContinuous = colorScale.mode === 'continuous';
+    const units = currentVisualization.units ? ` (${currentVisualization.units})` : '';
+    const description = product?.description || currentVisualization.description;
+    const referenceNote = reference
+      ? `. Relative to ${reference.radius > 0 ? `the mean within ${reference.radius} m of ` : ''}` +
+        `${reference.lat.toFixed(5)}, ${reference.lng.toFixed(5)} (${reference.value.toFixed(3)} subtracted)`
+      : '';
+
+    const componentNote = component ? `. Component: ${component.label}` : '';
+    const datasetTitle = dataSource?.title || datasetInfo?.title;
+    const datasetNote = [datasetTitle, datasetInfo?.name && datasetInfo.name !== datasetTitle ? `(${datasetInfo.name})` : null]
+      .filter(Boolean)
+      .join(' ');
 
     return {
-      title: `${currentVisualization.label} Legend`,
-      description: `Gulf Coast InSAR Data ${datasetInfo?.name ? `(${datasetInfo.name})` : ''}`,
+      title: `${product?.title || currentVisualization.label}${component ? `, ${component.short}` : ''}` +
+        `${reference ? ' (re-referenced)' : ''}${units} Legend`,
+      description: `${description}${componentNote}${referenceNote}${datasetNote ? `. ${datasetNote}` : ''}`,
       visualizationType,
-      ranges: purpleGradientColors.map((color, index) => {
-        const rangeStart = min + index * step;
-        const rangeEnd = rangeStart + step;
-        
-        return {
-          color: color,
-          label: `${formatLegendNumber(rangeStart)} - ${formatLegendNumber(rangeEnd)}`,
-        };
-      })
+      gradient: isContinuous ? colorScale.gradient() : null,
+      ticks: isContinuous ? colorScale.ticks() : [],
+      ranges: colorScale.legendRanges()
     };
-  }, [currentVisualization, datasetInfo, visualizationType]);
+  }, [currentVisualization, dataSource, datasetInfo, visualizationType, colorScale, product, reference, component]);
 
   return legendConfig;
-};
\ No newline at end of file
+};
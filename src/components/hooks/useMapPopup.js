@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import L from 'leaflet';
+
+// A Leaflet popup whose content is rendered by React through a portal, so it
+// stays part of the app's tree. `open(map, latlng, content)` shows or updates
+// the popup, `close()` removes it, and `portal` goes in the component's
+// output. `onClose` runs however the popup is closed.
+export const useMapPopup = (onClose) => {
+  const [container] = useState(() => document.createElement('div'));
+  const [content, setContent] = useState(null);
+  const popupRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  // Leaflet sizes and places the popup by its content, which the portal only
+  // fills once React has rendered it
+  useEffect(() => {
+    if (popupRef.current) popupRef.current.update();
+  }, [content]);
+
+  const open = useCallback((map, latlng, nextContent) => {
+    if (!popupRef.current) {
+      popupRef.current = L.popup().setContent(container).on('remove', () => {
+        popupRef.current = null;
+        setContent(null);
+        if (onCloseRef.current) onCloseRef.current();
+      });
+    }
+    setContent(nextContent);
+    popupRef.current.setLatLng(latlng);
+    if (!map.hasLayer(popupRef.current)) popupRef.current.openOn(map);
+  }, [container]);
+
+  const close = useCallback(() => {
+    if (popupRef.current) popupRef.current.remove();
+  }, []);
+
+  return { open, close, portal: content ? createPortal(content, container) : null };
+};
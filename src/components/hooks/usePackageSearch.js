@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import { createCatalog, loadDataSourceConfig } from '../../dataSources';
+
+const EMPTY_RESULTS = { count: 0, results: [], facets: { tags: [], organization: [] } };
+
+// Runs a CKAN package_search whenever the search parameters change (compared
+// by value, so callers can pass a fresh object each render). The previous
+// results stay visible while the next page loads.
+export const usePackageSearch = (params) => {
+  const [catalog, setCatalog] = useState(null);
+  const [state, setState] = useState({ ...EMPTY_RESULTS, loading: true, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDataSourceConfig()
+      .then((config) => {
+        if (!cancelled) setCatalog(createCatalog(config));
+      })
+      .catch((err) => {
+        if (!cancelled) setState({ ...EMPTY_RESULTS, loading: false, error: err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const key = JSON.stringify(params);
+
+  useEffect(() => {
+    if (!catalog) return undefined;
+    const controller = new AbortController();
+    setState(current => ({ ...current, loading: true, error: null }));
+
+    catalog.search(JSON.parse(key), { signal: controller.signal })
+      .then((result) => setState({ ...result, loading: false, error: null }))
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error('Error searching datasets:', err);
+        setState({ ...EMPTY_RESULTS, loading: false, error: `Dataset search failed: ${err.message}` });
+      });
+
+    return () => controller.abort();
+  }, [catalog, key]);
+
+  return { ...state, catalog };
+};
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { readPointValues } from '../../utils/rasterWorkers';
+
+// Value of each of the `bandCount` bands of `resource` at the inspected
+// point, so bands that are not on screen are reported too. Read like a time
+// series point (see readPointValues), never on the main thread. Null while
+// disabled, loading or outside the raster.
+export const usePixelBands = (enabled, point, resource, bandCount, loadFrame) => {
+  const [values, setValues] = useState(null);
+
+  useEffect(() => {
+    setValues(null);
+    if (!enabled || !point || !resource) return;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const bands = Array.from({ length: bandCount }, (_, band) => band);
+    readPointValues(resource, bands, point, { signal, loadFrame })
+      .then((sample) => {
+        if (!signal.aborted) setValues(sample.values.every(value => value === null) ? null : sample.values);
+      })
+      .catch((err) => {
+        if (!signal.aborted) console.error(`Error reading the bands of ${resource.displayName}:`, err);
+      });
+
+    return () => controller.abort();
+  }, [enabled, point, resource, bandCount, loadFrame]);
+
+  return values;
+};
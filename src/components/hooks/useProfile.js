@@ -0,0 +1,94 @@
+import { useEffect, useMemo, useState } from 'react';
+import { densifyLine, getPixelSpacing, sampleProfile } from '../../utils/transect';
+import { getReferenceValue } from '../../utils/rasterMath';
+import { toVerticalValue } from '../../utils/incidence';
+import { getCoherenceSource, isBelowCoherence } from '../../utils/coherence';
+
+// Samples the raster on screen along a transect, about one sample per pixel
+// unless `spacing` (metres) is given, and overlays the same transect on the
+// dated rasters in `entries`. Those are decoded through `loadFrame`, so
+// streamed files are sampled from the overview the map would show. Those are
+// converted as the raster on screen already is: to vertical with an
+// `incidence`, and relative to their own value at a `reference`. With a
+// `coherenceMask` (see useTimeSeries) samples below `threshold` are masked.
+export const useProfile = (
+  transect, raster, entries, loadFrame, resampling, spacing, reference, incidence, coherenceMask, threshold
+) => {
+  // { [resource id]: { frame, coherence } }, the coherence frame null when unmasked
+  const [frames, setFrames] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const step = raster ? spacing || getPixelSpacing(raster.georef) : null;
+
+  const samples = useMemo(
+    () => (transect && step ? densifyLine(transect, step) : []),
+    [transect, step]
+  );
+
+  useEffect(() => {
+    setFrames({});
+    setError(null);
+    if (!transect || entries.length === 0) {
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const loadFrames = async () => {
+      setLoading(true);
+      const loaded = {};
+      for (const { resource } of entries) {
+        try {
+          const frame = await loadFrame(resource, { signal });
+          const source = coherenceMask && getCoherenceSource(resource, coherenceMask.settings, coherenceMask.rasters);
+          const coherence = source ? await loadFrame(source.resource, { signal, band: source.band }) : null;
+          loaded[resource.id] = { frame, coherence };
+        } catch (err) {
+          if (signal.aborted) return;
+          console.error(`Error loading ${resource.displayName} for the profile:`, err);
+          setError(`Could not load ${resource.displayName}: ${err.message}`);
+        }
+        if (signal.aborted) return;
+        setFrames({ ...loaded });
+      }
+      setLoading(false);
+    };
+
+    loadFrames();
+    return () => controller.abort();
+  }, [transect, entries, loadFrame, coherenceMask]);
+
+  const current = useMemo(
+    () => (raster && samples.length > 0 ? sampleProfile(raster, samples, resampling) : null),
+    [raster, samples, resampling]
+  );
+
+  // Coherence along the line, sampled once per frame so the threshold stays live
+  const coherence = useMemo(() => {
+    const sampled = {};
+    Object.entries(frames).forEach(([id, loaded]) => {
+      if (loaded.coherence) sampled[id] = sampleProfile(loaded.coherence, samples, 'nearest').map(value => value ?? NaN);
+    });
+    return sampled;
+  }, [frames, samples]);
+
+  const overlays = useMemo(() => entries
+    .filter(({ resource }) => frames[resource.id])
+    .map(({ resource, date }) => {
+      const { frame } = frames[resource.id];
+      const masked = coherence[resource.id];
+      const convert = (value, latlng) => (incidence ? toVerticalValue(value, incidence, latlng) : value);
+      const offset = reference ? convert(getReferenceValue(frame, reference), reference) : 0;
+      const values = sampleProfile(frame, samples, resampling).map((value, i) => {
+        if (masked && isBelowCoherence(masked[i], threshold)) return null;
+        const converted = convert(value, samples[i]);
+        return converted === null || offset === null ? null : converted - offset;
+      });
+      return { resource, date, level: frame.level, values };
+    }), [entries, frames, coherence, samples, resampling, reference, incidence, threshold]);
+
+  return { samples, current, overlays, loading, error };
+};
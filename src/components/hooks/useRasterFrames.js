@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadRasterFrame } from '../../utils/rasterWorkers';
+import { createFrameCache } from '../../utils/frameCache';
+
+const frameKey = (resource, band) => `${resource.id}:${band}`;
+
+// Loads and decodes the selected raster in the worker pool, keeping decoded
+// frames in memory so stepping back and forth through the archive never
+// downloads a file twice. The previous frame stays on screen until the next
+// one is ready, and switching rasters mid-load cancels the earlier job.
+export const useRasterFrames = (selectedRaster, band) => {
+  const cacheRef = useRef(null);
+  if (!cacheRef.current) cacheRef.current = createFrameCache();
+  const pendingRef = useRef(new Map());
+
+  const [frame, setFrame] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Callers passing a `signal` can give up on a frame; the job itself is only
+  // cancelled once every such caller has, and never when one without a
+  // signal (a prefetch) is waiting on it too. `band` reads
+  // another band than the product's, e.g. a coherence band of the same file.
+  const loadFrame = useCallback((resource, { signal, onProgress, band: frameBand = band } = {}) => {
+    const key = frameKey(resource, frameBand);
+    const cached = cacheRef.current.get(key);
+    if (cached) return Promise.resolve(cached);
+
+    let pending = pendingRef.current.get(key);
+    if (!pending) {
+      const controller = new AbortController();
+      const listeners = new Set();
+      pending = { controller, listeners, waiting: 0, pinned: false };
+      pending.promise = loadRasterFrame(resource, frameBand, {
+        signal: controller.signal,
+        onProgress: update => listeners.forEach(listener => listener(update)),
+      })
+        .then((decoded) => {
+          cacheRef.current.set(key, decoded);
+          return decoded;
+        })
+        .finally(() => {
+          if (pendingRef.current.get(key) === pending) pendingRef.current.delete(key);
+        });
+      pendingRef.current.set(key, pending);
+    }
+
+    if (onProgress) pending.listeners.add(onProgress);
+    if (!signal) {
+      pending.pinned = true;
+      return pending.promise;
+    }
+
+    const job = pending;
+    job.waiting += 1;
+    signal.addEventListener('abort', () => {
+      job.waiting -= 1;
+      job.listeners.delete(onProgress);
+      if (job.waiting === 0 && !job.pinned) {
+        if (pendingRef.current.get(key) === job) pendingRef.current.delete(key);
+        job.controller.abort();
+      }
+    }, { once: true });
+    return job.promise;
+  }, [band]);
+
+  useEffect(() => {
+    if (!selectedRaster) {
+      setFrame(null);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    const cached = cacheRef.current.get(frameKey(selectedRaster, band));
+    if (cached) {
+      setFrame(cached);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    setLoading(true);
+    setProgress(null);
+    setError(null);
+    loadFrame(selectedRaster, { signal, onProgress: setProgress })
+      .then((decoded) => {
+        if (!signal.aborted) setFrame(decoded);
+      })
+      .catch((err) => {
+        if (signal.aborted) return;
+        console.error('Error loading TIFF data:', err);
+        setError(`Could not render the selected raster: ${err.message}`);
+      })
+      .finally(() => {
+        if (!signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [selectedRaster, band, loadFrame]);
+
+  // Warms the cache in the background, e.g. with the next frames of an animation
+  const prefetch = useCallback((resources) => {
+    resources.forEach((resource) => {
+      loadFrame(resource).catch(err => console.warn(`Prefetch of ${resource.displayName} failed:`, err.message));
+    });
+  }, [loadFrame]);
+
+  return { frame, loading, progress, error, prefetch, loadFrame };
+};
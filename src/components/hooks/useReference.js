@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import L from 'leaflet';
+
+// Point every value is shown relative to, averaged over the radius in metres,
+// and its marker on the map. `reference` is null while values are absolute.
+// `mapReady` turns true once the map exists, so a reference read from a link
+// before then is still marked.
+export const useReference = (mapRef, mapReady, initialReference) => {
+  const [point, setPoint] = useState(() =>
+    (initialReference ? { lat: initialReference.lat, lng: initialReference.lng } : null));
+  const [radius, setRadius] = useState(initialReference?.radius ?? 0);
+
+  const reference = useMemo(() => (point ? { ...point, radius } : null), [point, radius]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!mapReady || !map || !reference) return;
+
+    const style = { color: '#111827', weight: 2, interactive: false };
+    const layer = L.layerGroup([
+      ...(reference.radius > 0 ? [L.circle(reference, { ...style, radius: reference.radius, dashArray: '4 4', fillOpacity: 0.05 })] : []),
+      L.circleMarker(reference, { ...style, radius: 6, fillColor: '#FBBF24', fillOpacity: 1 }),
+    ]).addTo(map);
+
+    return () => layer.remove();
+  }, [mapRef, mapReady, reference]);
+
+  // A reference as read from a link, or null for absolute values
+  const restore = useCallback((next) => {
+    setPoint(next ? { lat: next.lat, lng: next.lng } : null);
+    setRadius(next?.radius ?? 0);
+  }, []);
+
+  return { reference, radius, setPoint, setRadius, restore };
+};
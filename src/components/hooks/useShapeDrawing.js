@@ -0,0 +1,102 @@
+import { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import { circleToFeature, polygonToFeature, rectangleToFeature } from '../../utils/aoi';
+import { lineToFeature } from '../../utils/transect';
+
+const PREVIEW_STYLE = { color: '#2563EB', weight: 2, dashArray: '4 4', fillOpacity: 0.1, interactive: false };
+
+// A polygon closes when its first corner is clicked again, within this many pixels
+const CLOSE_DISTANCE = 10;
+
+// Draws a shape on the map with plain clicks while `shape` is set:
+//   rectangle  click two opposite corners
+//   circle     click the centre, then a point on the edge
+//   polygon    click each corner; double-click or click the first corner to close
+//   line       click each vertex; double-click to finish
+// Escape drops the shape in progress. `onComplete` receives a GeoJSON feature.
+export const useShapeDrawing = (mapRef, shape, onComplete) => {
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !shape) return undefined;
+
+    const preview = L.layerGroup().addTo(map);
+    let points = [];
+
+    const redraw = (cursor) => {
+      preview.clearLayers();
+      if (points.length === 0 || !cursor) return;
+      if (shape === 'rectangle') {
+        L.rectangle(L.latLngBounds(points[0], cursor), PREVIEW_STYLE).addTo(preview);
+      } else if (shape === 'circle') {
+        L.circle(points[0], { ...PREVIEW_STYLE, radius: map.distance(points[0], cursor) }).addTo(preview);
+      } else {
+        const path = [...points, cursor];
+        (shape === 'line' ? L.polyline(path, PREVIEW_STYLE) : L.polygon(path, PREVIEW_STYLE)).addTo(preview);
+        points.forEach(point => L.circleMarker(point, { ...PREVIEW_STYLE, radius: 3, dashArray: null }).addTo(preview));
+      }
+    };
+
+    const finish = (feature) => {
+      points = [];
+      preview.clearLayers();
+      onCompleteRef.current(feature);
+    };
+
+    const isOnFirstCorner = (latlng) =>
+      points.length >= 3 &&
+      map.latLngToContainerPoint(points[0]).distanceTo(map.latLngToContainerPoint(latlng)) <= CLOSE_DISTANCE;
+
+    const handleClick = ({ latlng }) => {
+      if (shape === 'line') {
+        points.push(latlng);
+      } else if (shape === 'polygon') {
+        if (isOnFirstCorner(latlng)) finish(polygonToFeature(points));
+        else points.push(latlng);
+      } else if (points.length === 0) {
+        points.push(latlng);
+      } else if (shape === 'rectangle') {
+        finish(rectangleToFeature(points[0], latlng));
+      } else {
+        finish(circleToFeature(points[0], map.distance(points[0], latlng)));
+      }
+      redraw(latlng);
+    };
+
+    // The two clicks of the double-click have already added the last corner twice
+    const handleDoubleClick = () => {
+      if (shape === 'line') {
+        points.pop();
+        if (points.length >= 2) finish(lineToFeature(points));
+      } else if (shape === 'polygon') {
+        points.pop();
+        if (points.length >= 3) finish(polygonToFeature(points));
+      }
+    };
+
+    const handleMouseMove = ({ latlng }) => redraw(latlng);
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      points = [];
+      preview.clearLayers();
+    };
+
+    map.doubleClickZoom.disable();
+    map.on('click', handleClick);
+    map.on('dblclick', handleDoubleClick);
+    map.on('mousemove', handleMouseMove);
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      map.off('click', handleClick);
+      map.off('dblclick', handleDoubleClick);
+      map.off('mousemove', handleMouseMove);
+      document.removeEventListener('keydown', handleKeyDown);
+      map.doubleClickZoom.enable();
+      preview.remove();
+    };
+  }, [mapRef, shape]);
+};
@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+import { clipSwipePanes, resetSwipePanes } from '../../utils/rasterOverlay';
+
+// Keeps the swipe panes clipped at the divider while the map moves
+export const useSwipeClip = (mapRef, enabled, position) => {
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !enabled) return;
+
+    const update = () => clipSwipePanes(map, position);
+    update();
+    map.on('move zoomend resize', update);
+
+    return () => {
+      map.off('move zoomend resize', update);
+      resetSwipePanes(map);
+    };
+  }, [mapRef, enabled, position]);
+};
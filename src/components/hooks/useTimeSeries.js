@@ -0,0 +1,121 @@
+import { useEffect, useMemo, useState } from 'react';
+import { readPointValues } from '../../utils/rasterWorkers';
+import { getPixelInfo } from '../../utils/rasterUtils';
+import { getReferenceValue } from '../../utils/rasterMath';
+import { toVerticalValue } from '../../utils/incidence';
+import { sortByRasterDate } from '../../utils/timeSeries';
+import { getCoherenceSource, isBelowCoherence } from '../../utils/coherence';
+
+const EMPTY_SERIES = { loading: false, progress: 0, points: [], error: null };
+
+// Samples every dated raster at one location, oldest first. The raster already
+// decoded for the map is read from memory when it is at full resolution; the
+// others are read in the raster workers (see readPointValues), with local
+// files going through `loadFrame`.
+// `currentRasterRef` holds that raster as stored, before any conversion.
+// With an `incidence` values become vertical, and with a `reference` every
+// raster is read relative to its own value there. With a `coherenceMask`
+// ({ settings, rasters }, see getCoherenceSource) the coherence of each date
+// is read too, and values below `threshold` are masked as on the map.
+export const useTimeSeries = (
+  point, rasters, band, currentRasterRef, reference, incidence, loadFrame, coherenceMask, threshold
+) => {
+  const [series, setSeries] = useState(EMPTY_SERIES);
+
+  useEffect(() => {
+    if (!point) {
+      setSeries(EMPTY_SERIES);
+      return;
+    }
+
+    const controller = new AbortController();
+    const dated = sortByRasterDate(rasters).filter(entry => entry.date);
+
+    if (dated.length === 0) {
+      setSeries({ ...EMPTY_SERIES, error: 'None of the rasters for this product carry a date.' });
+      return;
+    }
+
+    // Stored values at the point and at the reference (0 without one)
+    const readValues = async (resource) => {
+      const currentRaster = currentRasterRef?.current;
+      if (currentRaster && currentRaster.resourceId === resource.id && currentRaster.level === 0) {
+        const pixel = getPixelInfo(currentRaster, point);
+        return {
+          value: pixel && !pixel.isNoData ? pixel.value : null,
+          offset: reference ? getReferenceValue(currentRaster, reference) : 0,
+        };
+      }
+      const { values, offsets } = await readPointValues(resource, [band], point, {
+        reference,
+        signal: controller.signal,
+        loadFrame,
+      });
+      return { value: values[0], offset: offsets[0] };
+    };
+
+    // Coherence at the point, NaN where the companion has none; null when
+    // nothing masks this raster
+    const readCoherence = async (resource) => {
+      const source = coherenceMask && getCoherenceSource(resource, coherenceMask.settings, coherenceMask.rasters);
+      if (!source) return null;
+      const { values } = await readPointValues(source.resource, [source.band], point, {
+        signal: controller.signal,
+        loadFrame,
+      });
+      return values[0] ?? NaN;
+    };
+
+    // The incidence at the reference point stands in for every pixel of a
+    // reference area; it hardly changes over a few hundred metres
+    const sampleEntry = async ({ resource }) => {
+      const { value, offset } = await readValues(resource);
+      if (value === null || offset === null) return null;
+      if (!incidence) return value - offset;
+      const vertical = toVerticalValue(value, incidence, point);
+      const verticalOffset = reference ? toVerticalValue(offset, incidence, reference) : 0;
+      return vertical === null || verticalOffset === null ? null : vertical - verticalOffset;
+    };
+
+    const loadSeries = async () => {
+      setSeries({ ...EMPTY_SERIES, loading: true });
+      const points = [];
+
+      for (const entry of dated) {
+        let value = null;
+        let coherence = null;
+        let error = null;
+        try {
+          value = await sampleEntry(entry);
+          if (value !== null) coherence = await readCoherence(entry.resource);
+        } catch (err) {
+          if (controller.signal.aborted) return;
+          console.error(`Error sampling ${entry.resource.displayName}:`, err);
+          error = err.message;
+        }
+        if (controller.signal.aborted) return;
+
+        points.push({ date: entry.date, value, coherence, error, resource: entry.resource });
+        setSeries({
+          loading: true,
+          progress: points.length / dated.length,
+          points: [...points],
+          error: null,
+        });
+      }
+
+      setSeries(current => ({ ...current, loading: false }));
+    };
+
+    loadSeries();
+    return () => controller.abort();
+  }, [point, rasters, band, currentRasterRef, reference, incidence, loadFrame, coherenceMask]);
+
+  // The threshold only hides values, so moving it reads nothing again
+  return useMemo(() => ({
+    ...series,
+    points: series.points.map(p => (p.coherence !== null && isBelowCoherence(p.coherence, threshold)
+      ? { ...p, value: null, masked: true }
+      : p)),
+  }), [series, threshold]);
+};
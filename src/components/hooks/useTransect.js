@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import L from 'leaflet';
+import { profileColor } from '../../utils/mapConstants';
+import { useProfile } from './useProfile';
+
+// Drawn transect (a GeoJSON LineString), the settings of its profile and the
+// line and hovered point on the map. Dated rasters other than `raster` can be
+// overlaid on the profile.
+export const useTransect = (mapRef, timelineFrames, raster, loadFrame, reference, incidence, coherenceMask, threshold) => {
+  const [transect, setTransect] = useState(null);
+  const [overlayIds, setOverlayIds] = useState([]);
+  const [resampling, setResampling] = useState('nearest');
+  const [spacing, setSpacing] = useState(null);
+  // Distance along the transect hovered in the profile chart
+  const [hover, setHover] = useState(null);
+
+  const frames = useMemo(
+    () => timelineFrames.filter(f => f.date && f.resource.id !== raster?.resourceId),
+    [timelineFrames, raster]
+  );
+  const entries = useMemo(
+    () => frames.filter(f => overlayIds.includes(f.resource.id)),
+    [frames, overlayIds]
+  );
+  const profile = useProfile(
+    transect, raster, entries, loadFrame, resampling, spacing, reference, incidence, coherenceMask, threshold
+  );
+
+  // A new line, or none, starts without a hovered point
+  const show = useCallback((feature) => {
+    setTransect(feature);
+    setHover(null);
+  }, []);
+  const close = useCallback(() => show(null), [show]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !transect) return;
+
+    const line = L.geoJSON(transect, {
+      interactive: false,
+      style: { color: profileColor, weight: 3, opacity: 0.8 },
+    }).addTo(map);
+
+    return () => line.remove();
+  }, [mapRef, transect]);
+
+  useEffect(() => {
+    const sample = hover === null ? null : profile.samples.find(s => s.distance === hover);
+    if (!mapRef.current || !sample) return;
+
+    const marker = L.circleMarker([sample.lat, sample.lng], {
+      radius: 6,
+      color: '#ffffff',
+      weight: 2,
+      fillColor: profileColor,
+      fillOpacity: 1,
+      interactive: false,
+    }).addTo(mapRef.current);
+
+    return () => marker.remove();
+  }, [mapRef, hover, profile.samples]);
+
+  return {
+    line: transect,
+    show,
+    close,
+    profile,
+    frames,
+    overlayIds,
+    setOverlayIds,
+    resampling,
+    setResampling,
+    spacing,
+    setSpacing,
+    setHover,
+  };
+};
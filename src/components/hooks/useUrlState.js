@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { readViewState, writeViewState } from '../../utils/urlState';
+
+// Changes are written once they have settled, so typing a number or dragging
+// a slider adds one history entry rather than dozens
+const WRITE_DELAY = 400;
+
+// Mirrors `view` into the query string, one history entry per change, and
+// hands the view of any other URL reached (back/forward) to `onNavigate`.
+// Returns the query string of `view`, which the URL only shows once written.
+export const useUrlState = (view, onNavigate) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const search = writeViewState(location.search, view);
+
+  // The query string last written or restored
+  const currentRef = useRef(location.search);
+  // The first write completes the entry the page was opened with, and one
+  // right after back/forward corrects the entry instead of forking history
+  const replaceRef = useRef(true);
+  const onNavigateRef = useRef(onNavigate);
+  onNavigateRef.current = onNavigate;
+
+  useEffect(() => {
+    if (location.search === currentRef.current) return;
+    currentRef.current = location.search;
+    replaceRef.current = true;
+    onNavigateRef.current(readViewState(location.search));
+  }, [location.search]);
+
+  useEffect(() => {
+    if (search === currentRef.current) return undefined;
+    const timer = setTimeout(() => {
+      currentRef.current = search;
+      navigate({ search }, { replace: replaceRef.current });
+      replaceRef.current = false;
+    }, WRITE_DELAY);
+    return () => clearTimeout(timer);
+  }, [search, navigate]);
+
+  return search;
+};
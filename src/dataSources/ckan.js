@@ -0,0 +1,91 @@
+const getApiUrl = (baseUrl) => `${baseUrl.replace(/\/+$/, '')}/api/3/action`;
+
+const FACET_FIELDS = ['tags', 'organization'];
+
+const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
+// Searches the packages of a CKAN site. Tags and organizations are ANDed
+// facet filters and `bbox` ([west, south, east, north]) a spatial filter,
+// which needs the ckanext-spatial extension on the server.
+// Resolves to { count, results, facets: { tags, organization } } with facet
+// items { name, display_name, count } sorted by count.
+export const searchCkanPackages = async (apiUrl, {
+  query = '',
+  tags = [],
+  organizations = [],
+  bbox = null,
+  rows = 20,
+  start = 0,
+} = {}, { signal } = {}) => {
+  const params = new URLSearchParams({
+    q: query,
+    rows: String(rows),
+    start: String(start),
+    'facet.field': JSON.stringify(FACET_FIELDS),
+    'facet.limit': '25',
+    'facet.mincount': '1',
+  });
+
+  const filters = [
+    ...tags.map(tag => `tags:${quote(tag)}`),
+    ...organizations.map(organization => `organization:${quote(organization)}`),
+  ];
+  if (filters.length > 0) params.set('fq', filters.join(' AND '));
+  if (bbox) params.set('ext_bbox', bbox.map(value => value.toFixed(4)).join(','));
+
+  const response = await fetch(`${apiUrl}/package_search?${params}`, { signal });
+  if (!response.ok) {
+    throw new Error(`Dataset search failed: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error?.message || 'API request was not successful');
+  }
+
+  const facetItems = (field) => [...(data.result.search_facets?.[field]?.items || [])]
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    count: data.result.count,
+    results: data.result.results,
+    facets: { tags: facetItems('tags'), organization: facetItems('organization') },
+  };
+};
+
+// The packages of a whole CKAN site, for the dataset search page
+export const createCkanCatalog = ({ baseUrl }) => {
+  const apiUrl = getApiUrl(baseUrl);
+  return {
+    baseUrl,
+    apiUrl,
+    search: (params, options) => searchCkanPackages(apiUrl, params, options),
+  };
+};
+
+// Datasets published as a CKAN package. `baseUrl` is the CKAN site, e.g.
+// https://ckan.tacc.utexas.edu, and `packageId` the package name or id.
+export const createCkanSource = ({ baseUrl, packageId, title }) => {
+  if (!baseUrl || !packageId) {
+    throw new Error('A CKAN data source needs both baseUrl and packageId.');
+  }
+  const apiUrl = getApiUrl(baseUrl);
+
+  return {
+    type: 'ckan',
+    title,
+    apiUrl,
+    cacheKey: `ckan:${apiUrl}:${packageId}`,
+
+    async loadDataset({ signal } = {}) {
+      const response = await fetch(`${apiUrl}/package_show?id=${encodeURIComponent(packageId)}`, { signal });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch dataset info: ${response.status} ${response.statusText}`);
+      }
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.message || 'API request was not successful');
+      }
+      return data.result;
+    },
+  };
+};
@@ -0,0 +1,42 @@
+import { toResource } from './resources';
+
+const TIFF_LINK = /href="([^"?#]+\.tiff?)"/gi;
+
+// A plain web directory of TIFF files. The files are either listed in `files`
+// (relative to `url`) or read from the server's HTML index page.
+export const createDirectorySource = ({ url, files, title }) => {
+  if (!url) throw new Error('A directory data source needs the url of the directory.');
+  // Without the trailing slash relative links would resolve against the parent
+  const directoryUrl = new URL(url.endsWith('/') ? url : `${url}/`, window.location.href).href;
+
+  const listFiles = async (signal) => {
+    if (Array.isArray(files)) return { links: files, lastModified: null };
+
+    const response = await fetch(directoryUrl, { signal });
+    if (!response.ok) {
+      throw new Error(`Failed to list the raster directory: ${response.status} ${response.statusText}`);
+    }
+    const html = await response.text();
+    const links = [...new Set([...html.matchAll(TIFF_LINK)].map(match => match[1]))];
+    return { links, lastModified: response.headers.get('Last-Modified') };
+  };
+
+  return {
+    type: 'directory',
+    title,
+    cacheKey: `directory:${directoryUrl}`,
+
+    async loadDataset({ signal } = {}) {
+      const { links, lastModified } = await listFiles(signal);
+      if (links.length === 0) {
+        throw new Error(`No TIFF files were found in ${directoryUrl}`);
+      }
+
+      return {
+        title: title || decodeURIComponent(new URL(directoryUrl).pathname.split('/').filter(Boolean).pop() || directoryUrl),
+        metadata_modified: lastModified || undefined,
+        resources: links.map(link => toResource({ url: link }, directoryUrl)),
+      };
+    },
+  };
+};
@@ -0,0 +1,83 @@
+import { createCkanCatalog, createCkanSource } from './ckan';
+import { createManifestSource } from './manifest';
+import { createDirectorySource } from './directory';
+import { loadAppConfig } from '../utils/appConfig';
+
+export const DEFAULT_DATA_SOURCE = {
+  type: 'ckan',
+  baseUrl: 'https://ckan.tacc.utexas.edu',
+  packageId: 'gulf-coast-of-united-states-insar',
+};
+
+const factories = {
+  ckan: createCkanSource,
+  manifest: createManifestSource,
+  directory: createDirectorySource,
+};
+
+// Every source exposes { type, title, cacheKey, loadDataset({ signal }) }, where
+// the dataset is a CKAN-style package with a `resources` list
+export const createDataSource = (config) => {
+  const factory = factories[config.type];
+  if (!factory) {
+    throw new Error(`Unknown data source type "${config.type}". Use ckan, manifest or directory.`);
+  }
+  return factory(config);
+};
+
+// The CKAN site searched for other datasets: the configured one, or the
+// default site when the data source is a manifest or a directory
+export const createCatalog = (config) => createCkanCatalog({
+  baseUrl: config.type === 'ckan' ? config.baseUrl : DEFAULT_DATA_SOURCE.baseUrl,
+});
+
+// A package of the catalog, as opened from the dataset search page
+export const withPackage = (config, packageId) => ({
+  type: 'ckan',
+  baseUrl: config.type === 'ckan' ? config.baseUrl : DEFAULT_DATA_SOURCE.baseUrl,
+  packageId,
+});
+
+// Data source named by URL parameters, or null:
+//   ?ckan=<site url>&package=<id>   (either one alone keeps the default for the other)
+//   ?manifest=<manifest url>
+//   ?directory=<directory url>
+export const getDataSourceFromParams = (params) => {
+  if (params.get('manifest')) return { type: 'manifest', url: params.get('manifest') };
+  if (params.get('directory')) return { type: 'directory', url: params.get('directory') };
+  if (params.get('ckan') || params.get('package')) {
+    return {
+      type: 'ckan',
+      baseUrl: params.get('ckan') || DEFAULT_DATA_SOURCE.baseUrl,
+      packageId: params.get('package') || DEFAULT_DATA_SOURCE.packageId,
+    };
+  }
+  return null;
+};
+
+// URL parameters that choose the data source, including the config file
+const SOURCE_PARAMS = ['ckan', 'package', 'manifest', 'directory', 'config'];
+
+// `search` reduced to its data source parameters, as '?...' or '', for links
+// between the map and the dataset search that should keep the same source.
+// Links to /datasets/:id leave out `package`, which the route replaces.
+export const getSourceSearch = (search, { keepPackage = true } = {}) => {
+  const params = new URLSearchParams(search);
+  const kept = new URLSearchParams();
+  SOURCE_PARAMS
+    .filter(key => keepPackage || key !== 'package')
+    .forEach(key => params.getAll(key).forEach(value => kept.append(key, value)));
+  const query = kept.toString();
+  return query ? `?${query}` : '';
+};
+
+// Resolves the data source configuration: URL parameters first, then the
+// `dataSource` entry of the config file (config.json next to the app, or the
+// file named by ?config=<url>), then the TACC Gulf Coast dataset.
+export const loadDataSourceConfig = async (search = window.location.search) => {
+  const fromParams = getDataSourceFromParams(new URLSearchParams(search));
+  if (fromParams) return fromParams;
+
+  const config = await loadAppConfig(search);
+  return config.dataSource || DEFAULT_DATA_SOURCE;
+};
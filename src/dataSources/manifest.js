@@ -0,0 +1,39 @@
+import { toResource } from './resources';
+
+// Datasets described by a static JSON file shaped like a trimmed CKAN package:
+//
+//   {
+//     "title": "...", "notes": "...",
+//     "resources": [{ "url": "2021/velocity.tif", "name": "...", "created": "2021-06-01" }]
+//   }
+//
+// Relative resource URLs are resolved against the manifest's own URL.
+export const createManifestSource = ({ url, title }) => {
+  if (!url) throw new Error('A manifest data source needs the url of the manifest.');
+  const manifestUrl = new URL(url, window.location.href).href;
+
+  return {
+    type: 'manifest',
+    title,
+    cacheKey: `manifest:${manifestUrl}`,
+
+    async loadDataset({ signal } = {}) {
+      const response = await fetch(manifestUrl, { signal });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch the dataset manifest: ${response.status} ${response.statusText}`);
+      }
+      const manifest = await response.json();
+      if (!Array.isArray(manifest.resources)) {
+        throw new Error('The dataset manifest has no "resources" list.');
+      }
+
+      return {
+        ...manifest,
+        title: manifest.title || title,
+        notes: manifest.notes ?? manifest.description,
+        metadata_modified: manifest.metadata_modified || response.headers.get('Last-Modified') || undefined,
+        resources: manifest.resources.map(resource => toResource(resource, manifestUrl)),
+      };
+    },
+  };
+};
@@ -0,0 +1,64 @@
+// Fills in the CKAN resource fields the app relies on for a resource listed by
+// a manifest or directory. The absolute URL doubles as id, so rasters of
+// different sources never share a cache entry.
+export const toResource = (resource, baseUrl) => {
+  const url = new URL(resource.url, baseUrl).href;
+  const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+  return {
+    ...resource,
+    id: resource.id || url,
+    url,
+    name: resource.name || fileName,
+    format: resource.format || 'GeoTIFF',
+  };
+};
+
+export const isGeoTiffFile = (file) => /\.tiff?$/i.test(file.name);
+
+// Resource for a GeoTIFF opened from the user's disk. It carries the File
+// itself instead of a URL; the file modification time stands in for the
+// upload date when the name holds no acquisition date.
+export const createLocalResource = (file) => ({
+  id: `local:${file.name}:${file.size}:${file.lastModified}`,
+  name: file.name,
+  displayName: file.name,
+  format: 'GeoTIFF',
+  size: file.size,
+  last_modified: new Date(file.lastModified).toISOString(),
+  local: true,
+  file,
+});
+
+export const isTiffResource = (resource) =>
+  resource.format?.toLowerCase() === 'tiff' || 
+  resource.format?.toLowerCase() === 'geotiff' ||
+  resource.name?.toLowerCase().includes('.tif') ||
+  resource.url?.toLowerCase().includes('.tif');
+
+// The TIFF resources of a dataset, newest first, with display names
+export const getTiffResources = (dataset) => {
+  if (!dataset || !dataset.resources) {
+    throw new Error('No resources found in dataset');
+  }
+
+  const tiffResources = dataset.resources.filter(isTiffResource);
+
+  if (tiffResources.length === 0) {
+    throw new Error('No TIFF files found in dataset');
+  }
+
+  // Sort by date (newest first) and add display names
+  const sortedTiffs = tiffResources
+    .sort((a, b) => {
+      const dateA = new Date(a.created || a.last_modified || 0);
+      const dateB = new Date(b.created || b.last_modified || 0);
+      return dateB - dateA;
+    })
+    .map((resource, index) => ({
+      ...resource,
+      displayName: resource.name || `Raster ${index + 1}`,
+      id: resource.id || `raster-${index}`
+    }));
+
+  return sortedTiffs;
+};
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import DatasetCard from '../components/DatasetCard';
+import { getSourceSearch } from '../dataSources';
+import ExtentFilterMap from '../components/ExtentFilterMap';
+import { usePackageSearch } from '../components/hooks/usePackageSearch';
+
+const PAGE_SIZE = 12;
+
+const parseBbox = (value) => {
+  const bbox = value ? value.split(',').map(Number) : [];
+  return bbox.length === 4 && bbox.every(Number.isFinite) ? bbox : null;
+};
+
+// Facet checkboxes for one CKAN facet field
+const FacetList = ({ title, items, selected, onToggle }) => (
+  <fieldset className="mb-4">
+    <legend className="text-sm font-semibold text-gray-800 mb-1">{title}</legend>
+    {items.length === 0 && <p className="text-xs text-gray-500 italic">None</p>}
+    {items.map(item => (
+      <label key={item.name} className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={selected.includes(item.name)}
+          onChange={() => onToggle(item.name)}
+        />
+        <span className="truncate">{item.display_name || item.name}</span>
+        <span className="ml-auto text-xs text-gray-500">{item.count}</span>
+      </label>
+    ))}
+  </fieldset>
+);
+
+// CKAN dataset search. The query, facets, extent and page live in the URL so
+// a search can be bookmarked and the back button returns to it from the map.
+const DatasetsPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const tags = searchParams.getAll('tag');
+  const organizations = searchParams.getAll('org');
+  const bbox = parseBbox(searchParams.get('bbox'));
+  const page = Math.max(0, Number(searchParams.get('page')) || 0);
+
+  const [queryInput, setQueryInput] = useState(query);
+  const [extentEnabled, setExtentEnabled] = useState(Boolean(bbox));
+
+  const search = usePackageSearch({
+    query,
+    tags,
+    organizations,
+    bbox,
+    rows: PAGE_SIZE,
+    start: page * PAGE_SIZE,
+  });
+
+  // Any change of filters goes back to the first page
+  const updateParams = (update) => {
+    const next = new URLSearchParams(searchParams);
+    update(next);
+    next.delete('page');
+    setSearchParams(next);
+  };
+
+  const toggleValue = (key, value) => updateParams((params) => {
+    const values = params.getAll(key);
+    params.delete(key);
+    const nextValues = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+    nextValues.forEach(v => params.append(key, v));
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams((params) => {
+      if (queryInput.trim()) params.set('q', queryInput.trim());
+      else params.delete('q');
+    });
+  };
+
+  const handleExtentChange = (nextBbox) => updateParams((params) => {
+    params.set('bbox', nextBbox.map(value => value.toFixed(4)).join(','));
+  });
+
+  const handleExtentToggle = (enabled) => {
+    setExtentEnabled(enabled);
+    if (!enabled) updateParams(params => params.delete('bbox'));
+  };
+
+  const goToPage = (nextPage) => {
+    const next = new URLSearchParams(searchParams);
+    if (nextPage > 0) next.set('page', String(nextPage));
+    else next.delete('page');
+    setSearchParams(next);
+  };
+
+  const pageCount = Math.ceil(search.count / PAGE_SIZE);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="px-6 py-4 bg-white shadow flex items-center gap-4">
+        <h1 className="text-xl md:text-2xl font-bold text-gray-800">Datasets</h1>
+        {search.catalog && <span className="text-sm text-gray-500">{search.catalog.baseUrl}</span>}
+        <Link to={`/${getSourceSearch(searchParams)}`} className="ml-auto text-sm text-blue-600 hover:underline">Back to map</Link>
+      </header>
+
+      <div className="flex flex-col md:flex-row gap-6 p-6">
+        <aside className="md:w-72 shrink-0">
+          <form onSubmit={handleSubmit} className="flex gap-2 mb-4">
+            <label htmlFor="dataset-query" className="sr-only">Search datasets</label>
+            <input
+              id="dataset-query"
+              type="search"
+              value={queryInput}
+              onChange={(e) => setQueryInput(e.target.value)}
+              placeholder="Search datasets"
+              className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+            <button type="submit" className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600">
+              Search
+            </button>
+          </form>
+
+          <div className="mb-4">
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-800 mb-1">
+              <input
+                type="checkbox"
+                checked={extentEnabled}
+                onChange={(e) => handleExtentToggle(e.target.checked)}
+              />
+              Limit to map area
+            </label>
+            <ExtentFilterMap bbox={bbox} enabled={extentEnabled} onChange={handleExtentChange} />
+          </div>
+
+          <FacetList
+            title="Organizations"
+            items={search.facets.organization}
+            selected={organizations}
+            onToggle={(name) => toggleValue('org', name)}
+          />
+          <FacetList
+            title="Tags"
+            items={search.facets.tags}
+            selected={tags}
+            onToggle={(name) => toggleValue('tag', name)}
+          />
+        </aside>
+
+        <section className="flex-1">
+          <p className="text-sm text-gray-600 mb-3">
+            {search.loading ? 'Searching…' : `${search.count} dataset${search.count === 1 ? '' : 's'} found`}
+          </p>
+
+          {search.error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-300 rounded text-sm text-red-700">{search.error}</div>
+          )}
+
+          <div className={`grid gap-4 sm:grid-cols-2 xl:grid-cols-3 ${search.loading ? 'opacity-60' : ''}`}>
+            {search.results.map(dataset => (
+              <DatasetCard key={dataset.id} dataset={dataset} />
+            ))}
+          </div>
+
+          {pageCount > 1 && (
+            <div className="flex items-center justify-center gap-3 mt-6 text-sm">
+              <button
+                onClick={() => goToPage(page - 1)}
+                disabled={page === 0 || search.loading}
+                className="px-3 py-1 bg-white border border-gray-300 rounded disabled:text-gray-400"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600">Page {page + 1} of {pageCount}</span>
+              <button
+                onClick={() => goToPage(page + 1)}
+                disabled={page + 1 >= pageCount || search.loading}
+                className="px-3 py-1 bg-white border border-gray-300 rounded disabled:text-gray-400"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetsPage;
@@ -1,14 +1,17 @@
 import React from 'react';
-import Header from '../components/Header';
+import { useParams } from 'react-router-dom';
 import MapComponent from '../components/MapComponent';
 
 const HomePage = () => {
+  // Set on /datasets/:id, where the map shows a package picked from the search
+  const { id } = useParams();
+
   return (
     <main className="relative h-screen w-screen bg-guild-primary">
       
-      <MapComponent />
+      <MapComponent packageId={id || null} />
     </main>
   );
 };
 
-export default HomePage;
\ No newline at end of file
+export default HomePage;
@@ -0,0 +1,116 @@
+// Areas of interest are GeoJSON features with Polygon or MultiPolygon
+// geometry in lon/lat. Circles are stored as polygons so every AOI exports
+// and imports the same way.
+
+const EARTH_RADIUS = 6378137;
+const CIRCLE_SEGMENTS = 64;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const closeRing = (ring) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+const toFeature = (coordinates, shape, properties = {}) => ({
+  type: 'Feature',
+  properties: { shape, ...properties },
+  geometry: { type: 'Polygon', coordinates: [closeRing(coordinates)] },
+});
+
+export const rectangleToFeature = (corner, opposite) => {
+  const west = Math.min(corner.lng, opposite.lng);
+  const east = Math.max(corner.lng, opposite.lng);
+  const south = Math.min(corner.lat, opposite.lat);
+  const north = Math.max(corner.lat, opposite.lat);
+  return toFeature([[west, south], [east, south], [east, north], [west, north]], 'rectangle');
+};
+
+export const polygonToFeature = (latlngs) =>
+  toFeature(latlngs.map(({ lat, lng }) => [lng, lat]), 'polygon');
+
+// Circle of `radius` metres as a polygon, spherical destination formula
+export const circleToFeature = (center, radius) => {
+  const lat1 = toRadians(center.lat);
+  const lng1 = toRadians(center.lng);
+  const angular = radius / EARTH_RADIUS;
+  const ring = [];
+
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const bearing = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+    );
+    const lng2 = lng1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    ring.push([(lng2 * 180) / Math.PI, (lat2 * 180) / Math.PI]);
+  }
+
+  return toFeature(ring, 'circle', { center: [center.lng, center.lat], radius });
+};
+
+// Every ring of the feature (outer rings and holes alike) as [lng, lat] lists
+export const getFeatureRings = (feature) => {
+  const { type, coordinates } = feature.geometry;
+  return type === 'MultiPolygon' ? coordinates.flat() : coordinates;
+};
+
+// Signed spherical area of a ring in m² (Chamberlain & Duquette)
+const ringArea = (ring) => {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return (total * EARTH_RADIUS * EARTH_RADIUS) / 2;
+};
+
+// Ground area of an AOI in m², holes removed
+export const getFeatureArea = (feature) => {
+  const { type, coordinates } = feature.geometry;
+  const polygons = type === 'MultiPolygon' ? coordinates : [coordinates];
+  return polygons.reduce((sum, [outer, ...holes]) =>
+    sum + Math.abs(ringArea(outer)) - holes.reduce((h, hole) => h + Math.abs(ringArea(hole)), 0), 0);
+};
+
+// [[south, west], [north, east]] of an AOI
+export const getFeatureBounds = (feature) => {
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+  getFeatureRings(feature).forEach(ring => ring.forEach(([lng, lat]) => {
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+    west = Math.min(west, lng);
+    east = Math.max(east, lng);
+  }));
+  return [[south, west], [north, east]];
+};
+
+const isPolygonGeometry = (geometry) =>
+  geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon');
+
+// Polygon features of an imported GeoJSON document: a FeatureCollection, a
+// single Feature or a bare geometry. Other geometry types are skipped.
+export const parseAoiGeoJson = (json) => {
+  const features = json.type === 'FeatureCollection'
+    ? json.features
+    : [json.type === 'Feature' ? json : { type: 'Feature', properties: {}, geometry: json }];
+
+  const polygons = (features || [])
+    .filter(feature => isPolygonGeometry(feature?.geometry))
+    .map(feature => ({
+      type: 'Feature',
+      properties: { shape: 'imported', ...feature.properties },
+      geometry: feature.geometry,
+    }));
+
+  if (polygons.length === 0) {
+    throw new Error('The file holds no Polygon or MultiPolygon features.');
+  }
+  return polygons;
+};
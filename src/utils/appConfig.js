@@ -0,0 +1,50 @@
+import { DEFAULT_BASEMAPS, NO_BASEMAP } from './mapConstants';
+
+// One request per config file however many parts of the app read it
+const configRequests = new Map();
+
+const fetchConfig = async (url, required) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    return await response.json();
+  } catch (err) {
+    // The default config file is optional; one asked for explicitly is not
+    if (required) throw new Error(`Could not read the config file ${url}: ${err.message}`);
+    return {};
+  }
+};
+
+// The app config file: config.json next to the app, or the file named by
+// ?config=<url>. Resolves to {} when the default file is missing.
+export const loadAppConfig = (search = window.location.search) => {
+  const explicitConfig = new URLSearchParams(search).get('config');
+  const url = explicitConfig || `${import.meta.env.BASE_URL}config.json`;
+
+  if (!configRequests.has(url)) {
+    const request = fetchConfig(url, Boolean(explicitConfig));
+    // A failed explicit config is retried on the next call
+    request.catch(() => configRequests.delete(url));
+    configRequests.set(url, request);
+  }
+  return configRequests.get(url);
+};
+
+// The built-in basemaps (DEFAULT_BASEMAPS) with the changes of the config
+// file's `basemaps`, always followed by "none". An entry with the id of a
+// built-in basemap overrides its fields, so a local or offline tile server can
+// stand in, `"disabled": true` drops it, and other entries are added after
+// them. `defaultBasemap` names the one the map opens on.
+export const getBasemapConfig = (config) => {
+  const overrides = (Array.isArray(config.basemaps) ? config.basemaps : [])
+    .filter(basemap => basemap.id && basemap.id !== NO_BASEMAP.id);
+  const configured = [
+    ...DEFAULT_BASEMAPS.map(basemap => ({ ...basemap, ...overrides.find(o => o.id === basemap.id) })),
+    ...overrides.filter(o => !DEFAULT_BASEMAPS.some(basemap => basemap.id === o.id)),
+  ].filter(basemap => !basemap.disabled);
+  const basemaps = [...configured, NO_BASEMAP];
+  const defaultId = basemaps.some(basemap => basemap.id === config.defaultBasemap)
+    ? config.defaultBasemap
+    : basemaps[0].id;
+  return { basemaps, defaultId };
+};
@@ -0,0 +1,18 @@
+import { findNearestByDate } from './timeSeries';
+import { getVisualizationOption } from './visualization';
+
+// Band of a companion coherence raster holding the coherence
+const COHERENCE_BAND = getVisualizationOption('coherence').band ?? 0;
+
+// Where the coherence masking `resource` is read from, as { resource, band }:
+// the companion coherence raster of the package (`rasterId`, else the one
+// nearest in date) or `band` of the same file. Null without a companion.
+export const getCoherenceSource = (resource, { source, rasterId, band }, coherenceRasters) => {
+  if (source === 'band') return { resource, band };
+  const chosen = coherenceRasters.find(r => r.id === rasterId) || findNearestByDate(resource, coherenceRasters);
+  return chosen ? { resource: chosen, band: COHERENCE_BAND } : null;
+};
+
+// Whether a coherence hides its pixel; missing coherence counts as unreliable,
+// as in maskRaster
+export const isBelowCoherence = (coherence, threshold) => !(coherence >= threshold);
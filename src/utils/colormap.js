@@ -0,0 +1,106 @@
+import { colormaps, formatLegendNumber } from './mapConstants';
+
+const LUT_SIZE = 256;
+
+export const hexToRgb = (hex) => {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)] : null;
+};
+
+const rgbToCss = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+// Linear interpolation between the stops of a ramp, t in 0..1
+const sampleRamp = (stops, t) => {
+  if (stops.length === 1) return stops[0];
+  const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(stops.length - 1, lower + 1);
+  const weight = position - lower;
+  return stops[lower].map((channel, i) => Math.round(channel + (stops[upper][i] - channel) * weight));
+};
+
+// Diverging ramps keep zero on their middle colour whenever the range straddles it
+const createNormalizer = (range, centered) => {
+  const { min, max } = range;
+  if (centered && min < 0 && max > 0) {
+    return {
+      normalize: (value) => (value < 0 ? 0.5 * (value - min) / -min : 0.5 + 0.5 * value / max),
+      denormalize: (t) => (t < 0.5 ? min + (t / 0.5) * -min : ((t - 0.5) / 0.5) * max),
+    };
+  }
+  return {
+    normalize: (value) => (value - min) / (max - min),
+    denormalize: (t) => min + t * (max - min),
+  };
+};
+
+// Builds everything needed to colour a raster and draw its legend from the
+// colormap settings and the current stretch range
+export const createColorScale = (settings, range) => {
+  const definition = colormaps[settings.name] || colormaps.purple;
+  const isQualitative = definition.type === 'qualitative';
+  const mode = isQualitative ? 'classed' : settings.mode;
+  const classes = Math.max(2, Math.round(settings.classes) || definition.colors.length);
+
+  let stops = definition.colors.map(hexToRgb);
+  if (settings.reversed) stops = [...stops].reverse();
+
+  const { normalize, denormalize } = createNormalizer(range, definition.type === 'diverging');
+
+  // Continuous ramps use a fine lookup table, classed ramps one colour per class
+  const table = mode === 'continuous'
+    ? Array.from({ length: LUT_SIZE }, (_, i) => sampleRamp(stops, i / (LUT_SIZE - 1)))
+    : Array.from({ length: classes }, (_, i) => (
+      isQualitative ? stops[i % stops.length] : sampleRamp(stops, i / (classes - 1))
+    ));
+
+  // Values beyond the stretch take the end colours; only missing values
+  // (nodata, masked) are left transparent
+  const indexFor = (value) => {
+    if (value === undefined || value === null || isNaN(value)) return -1;
+    const t = Math.max(0, Math.min(1, normalize(value)));
+    return Math.min(table.length - 1, Math.floor(t * table.length));
+  };
+
+  const classLabel = (index) =>
+    `${formatLegendNumber(denormalize(index / classes))} - ${formatLegendNumber(denormalize((index + 1) / classes))}`;
+
+  return {
+    // Inputs, so the raster workers can rebuild the same scale
+    settings,
+    name: settings.name,
+    label: definition.label,
+    type: definition.type,
+    mode,
+    classes,
+    range,
+    table,
+    indexFor,
+    colorFor: (value) => {
+      const index = indexFor(value);
+      return index < 0 ? null : table[index];
+    },
+    // Colour bin a value falls into, as shown in popups
+    describe: (value) => {
+      const index = indexFor(value);
+      if (index < 0) return null;
+      const color = rgbToCss(table[index]);
+      return mode === 'continuous'
+        ? { index: null, color, label: `${definition.label} (continuous)` }
+        : { index, color, label: classLabel(index) };
+    },
+    legendRanges: () => (mode === 'continuous' ? [] : table.map((color, index) => ({
+      color: rgbToCss(color),
+      label: classLabel(index),
+    }))),
+    gradient: () => `linear-gradient(to right, ${stops.map((stop, i) =>
+      `${rgbToCss(stop)} ${((i / Math.max(1, stops.length - 1)) * 100).toFixed(1)}%`).join(', ')})`,
+    // Value positions worth labelling under a continuous gradient bar
+    ticks: () => {
+      const positions = definition.type === 'diverging' && range.min < 0 && range.max > 0
+        ? [0, 0.5, 1]
+        : [0, 0.25, 0.5, 0.75, 1];
+      return positions.map(t => ({ position: t, label: formatLegendNumber(denormalize(t)) }));
+    },
+  };
+};
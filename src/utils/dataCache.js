@@ -0,0 +1,134 @@
+// Persistent cache of decoded rasters and CKAN metadata in IndexedDB, shared by
+// the page and the raster workers. Entries are evicted least recently used
+// first once the total size passes MAX_CACHE_BYTES.
+
+const DB_NAME = 'dynamo-data-cache';
+const DB_VERSION = 1;
+
+export const CACHE_STORES = { rasters: 'rasters', metadata: 'metadata' };
+
+// Bookkeeping of every entry: { key, store, size, lastAccess }. Kept apart from
+// the data so touching an entry does not rewrite a whole raster.
+const ENTRY_STORE = 'entries';
+
+export const MAX_CACHE_BYTES = 1024 * 1024 * 1024;
+
+let dbPromise = null;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(CACHE_STORES).forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      });
+      if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+        db.createObjectStore(ENTRY_STORE, { keyPath: 'key' }).createIndex('lastAccess', 'lastAccess');
+      }
+    };
+    dbPromise = requestResult(request);
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const entryKey = (store, key) => `${store}/${key}`;
+
+// Cached value or null. Failures (private browsing, quota, old schema) count as a miss.
+export const readCache = async (store, key) => {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([store, ENTRY_STORE], 'readwrite');
+    const value = await requestResult(transaction.objectStore(store).get(key));
+    if (value === undefined) return null;
+
+    const entries = transaction.objectStore(ENTRY_STORE);
+    const entry = await requestResult(entries.get(entryKey(store, key)));
+    if (entry) entries.put({ ...entry, lastAccess: Date.now() });
+    await transactionDone(transaction);
+    return value;
+  } catch (err) {
+    console.warn(`Cache read of ${key} failed:`, err?.message);
+    return null;
+  }
+};
+
+// Deletes least recently used entries until `incoming` more bytes fit
+const makeRoom = async (db, incoming) => {
+  const all = await requestResult(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).index('lastAccess').getAll());
+  let total = all.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+
+  for (const entry of all) {
+    if (total + incoming <= MAX_CACHE_BYTES) break;
+    evicted.push(entry);
+    total -= entry.size;
+  }
+  if (evicted.length === 0) return;
+
+  const transaction = db.transaction([...Object.values(CACHE_STORES), ENTRY_STORE], 'readwrite');
+  evicted.forEach((entry) => {
+    transaction.objectStore(entry.store).delete(entry.key.slice(entry.store.length + 1));
+    transaction.objectStore(ENTRY_STORE).delete(entry.key);
+  });
+  await transactionDone(transaction);
+};
+
+// Stores `value` (anything structured-cloneable) taking up about `size` bytes.
+// The value is copied before this resolves, so its buffers may be transferred after.
+export const writeCache = async (store, key, value, size) => {
+  if (size > MAX_CACHE_BYTES) return;
+  try {
+    const db = await openDatabase();
+    await makeRoom(db, size);
+
+    const transaction = db.transaction([store, ENTRY_STORE], 'readwrite');
+    transaction.objectStore(store).put(value, key);
+    transaction.objectStore(ENTRY_STORE).put({ key: entryKey(store, key), store, size, lastAccess: Date.now() });
+    await transactionDone(transaction);
+  } catch (err) {
+    console.warn(`Cache write of ${key} failed:`, err?.message);
+  }
+};
+
+export const clearCache = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction([...Object.values(CACHE_STORES), ENTRY_STORE], 'readwrite');
+  [...Object.values(CACHE_STORES), ENTRY_STORE].forEach(name => transaction.objectStore(name).clear());
+  await transactionDone(transaction);
+};
+
+// { bytes, count } of everything cached
+export const getCacheUsage = async () => {
+  try {
+    const db = await openDatabase();
+    const all = await requestResult(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).getAll());
+    return { bytes: all.reduce((sum, entry) => sum + entry.size, 0), count: all.length };
+  } catch {
+    return { bytes: 0, count: 0 };
+  }
+};
+
+// Format of the decoded bands stored. Bump it whenever their shape or meaning
+// changes (nodata handling, new fields), so entries written by an older
+// version are never served; they age out of the cache like any other.
+//   2: GDAL_NODATA parsed by getNoDataValue, band descriptions kept
+const RASTER_FORMAT_VERSION = 2;
+
+// A resource replaced on CKAN gets a new last_modified, and so a new key
+export const rasterCacheKey = (resource, band) =>
+  `v${RASTER_FORMAT_VERSION}:${resource.id}:${resource.last_modified || resource.created || ''}:${band}`;
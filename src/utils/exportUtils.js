@@ -0,0 +1,33 @@
+// Builds CSV text from column definitions ({ key, label }) and row objects
+export const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const header = columns.map(column => escape(column.label)).join(',');
+  const lines = rows.map(row => columns.map(column => escape(row[column.key])).join(','));
+  return [header, ...lines].join('\n');
+};
+
+// How long a download URL stays valid after the click
+const REVOKE_DELAY = 10000;
+
+// Saves generated content through a temporary object URL
+export const downloadFile = (filename, content, type = 'text/csv') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Firefox and Safari start the download some time after click() returns;
+  // revoking the URL before then cancels it
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+};
+
+// Lowercase, dash-separated file name fragment
+export const slugify = (text) =>
+  String(text || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
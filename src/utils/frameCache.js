@@ -0,0 +1,42 @@
+// Least-recently-used cache of decoded raster frames, capped by memory use
+// rather than by count because frame sizes vary by orders of magnitude
+export const createFrameCache = (maxBytes = 512 * 1024 * 1024) => {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const sizeOf = (frame) => frame.values?.byteLength || 0;
+
+  const evict = () => {
+    // Map iteration order is insertion order, so the first key is the stalest
+    while (totalBytes > maxBytes && entries.size > 1) {
+      const [key, entry] = entries.entries().next().value;
+      entries.delete(key);
+      totalBytes -= entry.bytes;
+    }
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.frame;
+    },
+    set(key, frame) {
+      if (entries.has(key)) {
+        totalBytes -= entries.get(key).bytes;
+        entries.delete(key);
+      }
+      const bytes = sizeOf(frame);
+      entries.set(key, { frame, bytes });
+      totalBytes += bytes;
+      evict();
+    },
+    has: (key) => entries.has(key),
+    clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+  };
+};
@@ -0,0 +1,128 @@
+import { fromArrayBuffer, fromUrl } from 'geotiff';
+import { createGeoreference, getImageGrid, getPixelsNear, latLngToSourcePixel } from './projection';
+import { getNoDataValue, isNoDataValue } from './rasterUtils';
+
+// Blocks of remote files kept by geotiff between window reads
+const REMOTE_CACHE_SIZE = 256;
+
+// Range support is a property of the server, so each URL is only probed once
+const rangeSupport = new Map();
+
+// Reads a response body chunk by chunk, reporting { loaded, total } bytes
+const readWithProgress = async (response, onProgress) => {
+  const total = Number(response.headers.get('Content-Length')) || null;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({ loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes.buffer;
+};
+
+// Downloads a TIFF resource and opens it with geotiff
+export const loadGeoTiff = async (url, { signal, onProgress } = {}) => {
+  const response = await fetch(url, { signal });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch TIFF file: ${response.status} ${response.statusText}`);
+  }
+
+  const arrayBuffer = onProgress && response.body
+    ? await readWithProgress(response, onProgress)
+    : await response.arrayBuffer();
+  return fromArrayBuffer(arrayBuffer);
+};
+
+// Asks for the first two bytes; only a 206 answer proves ranges are honoured
+export const supportsRangeRequests = async (url, { signal } = {}) => {
+  if (rangeSupport.has(url)) return rangeSupport.get(url);
+
+  let supported = false;
+  try {
+    const response = await fetch(url, { headers: { Range: 'bytes=0-1' }, signal });
+    supported = response.status === 206;
+    // A server ignoring the range is streaming the whole file back, stop it
+    if (response.body) response.body.cancel().catch(() => {});
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn(`Range probe of ${url} failed, downloading it whole:`, err.message);
+  }
+
+  rangeSupport.set(url, supported);
+  return supported;
+};
+
+// Opens a TIFF without downloading it: only the header is read here and image
+// tiles are fetched with range requests as windows are read. Falls back to
+// downloading the whole file when the server does not support ranges.
+export const openGeoTiff = async (url, { signal, onProgress } = {}) => {
+  if (await supportsRangeRequests(url, { signal })) {
+    const geotiff = await fromUrl(url, { allowFullFile: false, cacheSize: REMOTE_CACHE_SIZE }, signal);
+    return { geotiff, streaming: true };
+  }
+  return { geotiff: await loadGeoTiff(url, { signal, onProgress }), streaming: false };
+};
+
+// Opens a GeoTIFF the user picked from disk. The file never leaves the browser.
+export const openLocalGeoTiff = async (file) => fromArrayBuffer(await file.arrayBuffer());
+
+// Column and row of the full-resolution pixel under a lat/lon, null outside the image
+const locatePixel = (image, latlng) => {
+  const georef = createGeoreference(getImageGrid(image));
+  const { x, y } = latLngToSourcePixel(georef, latlng.lat, latlng.lng);
+  const col = Math.floor(x);
+  const row = Math.floor(y);
+
+  if (!isFinite(x) || !isFinite(y) || col < 0 || row < 0 || col >= georef.width || row >= georef.height) {
+    return null;
+  }
+  return { col, row };
+};
+
+// Reads `bands` of the single pixel under a lat/lon in the raster's own grid,
+// without decoding the rest of the image; null for bands without data there
+export const samplePointValues = async (geotiff, latlng, bands, { signal } = {}) => {
+  const image = await geotiff.getImage();
+  const pixel = locatePixel(image, latlng);
+  if (!pixel) return null;
+
+  const { col, row } = pixel;
+  const samples = await image.readRasters({ window: [col, row, col + 1, row + 1], samples: bands, signal });
+  const noData = getNoDataValue(image);
+  return { col, row, values: Array.from(samples, ([value]) => (isNoDataValue(value, noData) ? null : value)) };
+};
+
+// Mean of the valid pixels of a reference point or area (see
+// getReferenceValue), reading only the window around it; null without data
+export const sampleReferenceValue = async (geotiff, { lat, lng, radius }, band = 0, { signal } = {}) => {
+  const image = await geotiff.getImage();
+  const georef = createGeoreference(getImageGrid(image));
+  const near = getPixelsNear(georef, { lat, lng }, radius);
+  if (!near) return null;
+
+  const [x0, y0, x1] = near.window;
+  const [values] = await image.readRasters({ window: near.window, samples: [band], signal });
+  const noData = getNoDataValue(image);
+  let sum = 0;
+  let count = 0;
+  near.pixels.forEach(([col, row]) => {
+    const value = values[(row - y0) * (x1 - x0) + (col - x0)];
+    if (isNoDataValue(value, noData)) return;
+    sum += value;
+    count++;
+  });
+  return count > 0 ? sum / count : null;
+};
@@ -0,0 +1,87 @@
+import { resampleToGrid } from './rasterMath';
+import { getPixelInfo, isNoDataValue } from './rasterUtils';
+import { computeBandStats } from './stretch';
+
+// Line-of-sight (LOS) measurements become approximate vertical motion when
+// divided by cos(incidence), assuming the ground moved only up or down. The
+// incidence is either { angle } in degrees for the whole raster, or
+// { raster } holding the angle of every pixel.
+
+// Resource fields, then dataset extras, that may carry the angle in degrees
+const METADATA_KEYS = ['incidence_angle', 'incidenceAngle', 'incidence'];
+
+// Typical Sentinel-1 mid-swath incidence, offered when nothing better is known
+export const DEFAULT_INCIDENCE_ANGLE = 39;
+
+export const isValidIncidence = (angle) => Number.isFinite(angle) && angle > 0 && angle < 90;
+
+const parseAngle = (value) => {
+  const angle = parseFloat(value);
+  return isValidIncidence(angle) ? angle : null;
+};
+
+// Incidence angle recorded in the metadata of the first resource that has one,
+// else in the dataset extras; null when neither does
+export const getMetadataIncidence = (resources, dataset) => {
+  for (const resource of resources) {
+    for (const key of METADATA_KEYS) {
+      const angle = parseAngle(resource?.[key]);
+      if (angle !== null) return angle;
+    }
+  }
+  const extra = (dataset?.extras || []).find(entry => METADATA_KEYS.includes(entry.key));
+  return extra ? parseAngle(extra.value) : null;
+};
+
+// Angle in degrees at a lat/lon, null where the incidence raster has no data
+export const getIncidenceAt = (incidence, latlng) => {
+  if (!incidence.raster) return incidence.angle;
+  const pixel = getPixelInfo(incidence.raster, latlng);
+  return pixel && !pixel.isNoData && isValidIncidence(pixel.value) ? pixel.value : null;
+};
+
+// One LOS value at a lat/lon as vertical, null without an incidence there
+export const toVerticalValue = (value, incidence, latlng) => {
+  if (value === null) return null;
+  const angle = getIncidenceAt(incidence, latlng);
+  return angle === null ? null : value / Math.cos((angle * Math.PI) / 180);
+};
+
+// The LOS raster as vertical, shaped like a decoded frame and tagged with the
+// incidence used. An incidence raster is resampled onto the data grid first.
+export const toVerticalRaster = (raster, incidence) => {
+  const angles = incidence.raster ? resampleToGrid(incidence.raster, raster) : null;
+  const constantCos = angles ? null : Math.cos((incidence.angle * Math.PI) / 180);
+  const values = new Float32Array(raster.values.length);
+
+  for (let i = 0; i < values.length; i++) {
+    const value = raster.values[i];
+    if (isNoDataValue(value, raster.noData)) {
+      values[i] = NaN;
+    } else if (angles) {
+      values[i] = isValidIncidence(angles[i]) ? value / Math.cos((angles[i] * Math.PI) / 180) : NaN;
+    } else {
+      values[i] = value / constantCos;
+    }
+  }
+
+  return {
+    ...raster,
+    values,
+    noData: null,
+    stats: raster.stats ? computeBandStats(values, null) : raster.stats,
+    incidence,
+  };
+};
+
+// Which component a product is shown as, for legends and popups; null for
+// products that are not measured along the line of sight. With a lat/lon the
+// angle of an incidence raster at that spot is named.
+export const describeComponent = (visualization, incidence, latlng) => {
+  if (!visualization.lineOfSight) return null;
+  if (!incidence) return { short: 'LOS', label: 'Line of sight (LOS)' };
+
+  const angle = incidence.raster ? (latlng ? getIncidenceAt(incidence, latlng) : null) : incidence.angle;
+  const theta = angle === null ? `θ from ${incidence.name}` : `θ = ${Number(angle.toFixed(2))}°`;
+  return { short: 'Vertical', label: `Vertical (LOS ÷ cos θ, ${theta})` };
+};
@@ -12,18 +12,287 @@ export const purpleGradientColors = [
   '#581C87'  // Very dark purple - 90-100%
 ];
 
-// Visualization options for Gulf Coast InSAR data
+// Named colour ramps. Sequential and diverging ramps are interpolated between
+// their stops; qualitative ramps are only ever used as discrete classes.
+export const colormaps = {
+  purple: { label: 'Purple', type: 'sequential', colors: purpleGradientColors },
+  viridis: {
+    label: 'Viridis',
+    type: 'sequential',
+    colors: ['#440154', '#482878', '#3E4989', '#31688E', '#26828E', '#1F9E89', '#35B779', '#6ECE58', '#B5DE2B', '#FDE725']
+  },
+  magma: {
+    label: 'Magma',
+    type: 'sequential',
+    colors: ['#000004', '#1C1044', '#4F127B', '#812581', '#B5367A', '#E55064', '#FB8761', '#FEC287', '#FCFDBF']
+  },
+  blues: {
+    label: 'Blues',
+    type: 'sequential',
+    colors: ['#F7FBFF', '#DEEBF7', '#C6DBEF', '#9ECAE1', '#6BAED6', '#4292C6', '#2171B5', '#08519C', '#08306B']
+  },
+  grayscale: { label: 'Grayscale', type: 'sequential', colors: ['#000000', '#FFFFFF'] },
+  terrain: {
+    label: 'Terrain',
+    type: 'sequential',
+    colors: ['#333399', '#0294FA', '#24D36D', '#FEFE98', '#825D54', '#FFFFFF']
+  },
+  rdbu: {
+    label: 'Red-Blue',
+    type: 'diverging',
+    colors: ['#67001F', '#B2182B', '#D6604D', '#F4A582', '#FDDBC7', '#F7F7F7', '#D1E5F0', '#92C5DE', '#4393C3', '#2166AC', '#053061']
+  },
+  brbg: {
+    label: 'Brown-Teal',
+    type: 'diverging',
+    colors: ['#543005', '#8C510A', '#BF812D', '#DFC27D', '#F6E8C3', '#F5F5F5', '#C7EAE5', '#80CDC1', '#35978F', '#01665E', '#003C30']
+  },
+  puor: {
+    label: 'Orange-Purple',
+    type: 'diverging',
+    colors: ['#7F3B08', '#B35806', '#E08214', '#FDB863', '#FEE0B6', '#F7F7F7', '#D8DAEB', '#B2ABD2', '#8073AC', '#542788', '#2D004B']
+  },
+  spectral: {
+    label: 'Spectral',
+    type: 'diverging',
+    colors: ['#9E0142', '#D53E4F', '#F46D43', '#FDAE61', '#FEE08B', '#FFFFBF', '#E6F598', '#ABDDA4', '#66C2A5', '#3288BD', '#5E4FA2']
+  },
+  set1: {
+    label: 'Set 1',
+    type: 'qualitative',
+    colors: ['#E41A1C', '#377EB8', '#4DAF4A', '#984EA3', '#FF7F00', '#FFFF33', '#A65628', '#F781BF', '#999999']
+  },
+  tableau10: {
+    label: 'Tableau 10',
+    type: 'qualitative',
+    colors: ['#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F', '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC']
+  }
+};
+
+export const colormapTypes = [
+  { value: 'sequential', label: 'Sequential' },
+  { value: 'diverging', label: 'Diverging' },
+  { value: 'qualitative', label: 'Qualitative' }
+];
+
+export const DEFAULT_COLORMAP = {
+  name: 'purple',
+  mode: 'classed',
+  classes: 10,
+  reversed: false
+};
+
+// Visualization options for Gulf Coast InSAR data. Each product picks its CKAN
+// resources by keyword (matched against resource name, description and URL),
+// reads one band of them and starts from its own colormap and stretch.
 export const visualizationOptions = [
-  { value: 'displacement', label: 'Ground Displacement' },
-  { value: 'velocity', label: 'Velocity' },
-  { value: 'coherence', label: 'Coherence' },
-  { value: 'elevation', label: 'Elevation' }
+  {
+    value: 'displacement',
+    label: 'Ground Displacement',
+    units: 'cm',
+    description: 'Cumulative line-of-sight ground displacement; negative values indicate subsidence',
+    resourceKeywords: ['displacement', 'disp', 'deformation', 'cumulative'],
+    band: 0,
+    colormap: { name: 'rdbu', mode: 'continuous' },
+    stretch: { method: 'percentile', lowPercentile: 2, highPercentile: 98 },
+    // Values for which AOI statistics report the area at or below them
+    aoiThresholds: [-5, -10],
+    // Measured along the radar line of sight, so it can be shown as vertical
+    lineOfSight: true
+  },
+  {
+    value: 'velocity',
+    label: 'Velocity',
+    units: 'mm/yr',
+    description: 'Mean line-of-sight deformation rate; negative values indicate sinking ground',
+    resourceKeywords: ['velocity', 'vel', 'rate'],
+    band: 0,
+    colormap: { name: 'rdbu', mode: 'continuous' },
+    stretch: { method: 'stddev', stdDevs: 2 },
+    aoiThresholds: [-5],
+    lineOfSight: true
+  },
+  {
+    value: 'coherence',
+    label: 'Coherence',
+    units: '',
+    description: 'Interferometric coherence from 0 (noise) to 1 (fully reliable phase)',
+    resourceKeywords: ['coherence', 'coh', 'corr'],
+    band: 0,
+    colormap: { name: 'grayscale', mode: 'continuous' },
+    stretch: { method: 'manual', min: 0, max: 1 }
+  },
+  {
+    value: 'elevation',
+    label: 'Elevation',
+    units: 'm',
+    description: 'Terrain height of the digital elevation model used for processing',
+    resourceKeywords: ['elevation', 'dem', 'height', 'hgt', 'topo'],
+    band: 0,
+    colormap: { name: 'terrain', mode: 'continuous' },
+    stretch: { method: 'minmax' }
+  },
+  {
+    value: 'incidence',
+    label: 'Incidence Angle',
+    units: '°',
+    description: 'Radar incidence angle from vertical, used to turn line-of-sight motion into vertical motion',
+    resourceKeywords: ['incidence', 'inc', 'incang', 'theta'],
+    band: 0,
+    colormap: { name: 'viridis', mode: 'continuous' },
+    stretch: { method: 'minmax' }
+  }
+];
+
+// Components a line-of-sight product can be shown as
+export const displacementComponents = [
+  { value: 'los', label: 'Line of sight (LOS)' },
+  { value: 'vertical', label: 'Vertical (LOS ÷ cos θ)' }
+];
+
+// Where the incidence angle θ for the vertical component comes from
+export const incidenceSources = [
+  { value: 'constant', label: 'Constant angle' },
+  { value: 'metadata', label: 'Resource metadata' },
+  { value: 'raster', label: 'Incidence-angle raster' }
+];
+
+// Where the coherence for masking comes from
+export const coherenceMaskSources = [
+  { value: 'raster', label: 'Companion coherence raster' },
+  { value: 'band', label: 'Band of the same file' }
+];
+
+// Coherence below which pixels are masked until the user moves the slider
+export const DEFAULT_COHERENCE_THRESHOLD = 0.3;
+
+// Channels of an RGB composite and the stretch each gets until edited
+export const compositeChannels = [
+  { label: 'R', color: '#dc2626' },
+  { label: 'G', color: '#16a34a' },
+  { label: 'B', color: '#2563eb' }
+];
+export const COMPOSITE_STRETCH = { method: 'percentile', lowPercentile: 2, highPercentile: 98 };
+
+// Where the map opens before any raster has been fitted
+export const DEFAULT_MAP_VIEW = { center: { lat: 28.0, lng: -88.0 }, zoom: 6 };
+
+// Opacity of the raster overlay over the basemap
+export const DEFAULT_OPACITY = 0.7;
+
+// Basemaps offered unless the config file changes them. Each is a Leaflet tile
+// URL template; config entries take the same fields.
+export const DEFAULT_BASEMAPS = [
+  {
+    id: 'streets',
+    label: 'Streets',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19,
+  },
+  {
+    id: 'satellite',
+    label: 'Satellite',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+    maxZoom: 19,
+  },
+  {
+    id: 'topo',
+    label: 'Topographic',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+    maxZoom: 17,
+  },
+  {
+    id: 'light',
+    label: 'Light canvas',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+    subdomains: 'abcd',
+    maxZoom: 20,
+  },
+  {
+    id: 'dark',
+    label: 'Dark canvas',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+    subdomains: 'abcd',
+    maxZoom: 20,
+  },
 ];
 
+// Always offered after the configured basemaps
+export const NO_BASEMAP = { id: 'none', label: 'None' };
+
+// CSS blend modes of the raster overlay against the basemap
+export const blendModes = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'multiply', label: 'Multiply' },
+  { value: 'screen', label: 'Screen' },
+  { value: 'overlay', label: 'Overlay' },
+  { value: 'soft-light', label: 'Soft light' },
+  { value: 'darken', label: 'Darken' },
+  { value: 'lighten', label: 'Lighten' },
+];
+
+// Displacement is what the dataset mostly contains, so unlabelled TIFFs fall back to it
+export const DEFAULT_VISUALIZATION = 'displacement';
+
+// Colour stretch methods for mapping raster values onto the colour ramp
+export const stretchOptions = [
+  { value: 'minmax', label: 'Min / Max' },
+  { value: 'percentile', label: 'Percentile Clip' },
+  { value: 'stddev', label: 'Standard Deviation' },
+  { value: 'manual', label: 'Manual' }
+];
+
+// How raster pixels are interpolated onto map tiles
+export const resamplingOptions = [
+  { value: 'nearest', label: 'Nearest neighbour' },
+  { value: 'bilinear', label: 'Bilinear' }
+];
+
+// Ways of showing rasters on the map
+export const viewModes = [
+  { value: 'single', label: 'Single Raster' },
+  { value: 'difference', label: 'Difference (A − B)' },
+  { value: 'swipe', label: 'Swipe (A | B)' },
+  { value: 'dual', label: 'Side by Side (A | B)' }
+];
+
+// Animation speeds in frames per second
+export const playbackSpeeds = [
+  { value: 0.5, label: '0.5 fps' },
+  { value: 1, label: '1 fps' },
+  { value: 2, label: '2 fps' },
+  { value: 4, label: '4 fps' }
+];
+
+// Map interaction tools; while one is active, map clicks go to it instead of the pixel popup.
+// Tools with a `shape` draw an area of interest, or a transect for the `line` shape.
+export const mapTools = [
+  { value: 'timeseries', label: 'Time Series', description: 'Click the map to chart that pixel across every dated raster' },
+  { value: 'reference', label: 'Reference Point', description: 'Click a stable pixel or GNSS station to show every value relative to it' },
+  { value: 'aoi-rectangle', shape: 'rectangle', label: 'Rectangle AOI', description: 'Click two opposite corners of an area of interest' },
+  { value: 'aoi-polygon', shape: 'polygon', label: 'Polygon AOI', description: 'Click each corner of an area of interest; double-click to close it' },
+  { value: 'aoi-circle', shape: 'circle', label: 'Circle AOI', description: 'Click the centre of an area of interest, then a point on its edge' },
+  { value: 'transect', shape: 'line', label: 'Transect', description: 'Click points along a profile line; double-click to finish it' }
+];
+
+// Outline colours given to areas of interest in turn
+export const aoiColors = ['#2563EB', '#DC2626', '#059669', '#D97706', '#7C3AED', '#DB2777'];
+
+// Profile of the raster on screen, then the colours of dated rasters overlaid on it
+export const profileColor = '#111827';
+export const profileOverlayColors = ['#2563EB', '#DC2626', '#059669', '#D97706', '#DB2777', '#0891B2', '#65A30D', '#9333EA'];
+
 // Helper function to format numbers with 3 decimal places for legend
 export const formatLegendNumber = (value) => {
   if (value === null || value === undefined) return 'N/A';
   const num = parseFloat(value);
   if (isNaN(num)) return 'N/A';
   return num.toFixed(3);
-};
\ No newline at end of file
+};
+
+export const formatArea = (squareMeters) => `${formatLegendNumber(squareMeters / 1e6)} km²`;
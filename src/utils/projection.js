@@ -0,0 +1,289 @@
+import proj4 from 'proj4';
+
+// GeoKey value GeoTIFF uses for "user-defined" CRSs that carry no EPSG code
+const USER_DEFINED = 32767;
+
+// Projections used by Gulf Coast rasters that proj4 does not ship with
+const EXTRA_DEFINITIONS = {
+  4267: '+proj=longlat +datum=NAD27 +no_defs',
+  5070: '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs',
+  6350: '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0 +units=m +no_defs',
+  3083: '+proj=aea +lat_0=18 +lon_0=-100 +lat_1=27.5 +lat_2=35 +x_0=1500000 +y_0=6000000 +datum=NAD83 +units=m +no_defs',
+  3081: '+proj=lcc +lat_0=31.1666666666667 +lon_0=-100 +lat_1=27.4166666666667 +lat_2=34.9166666666667 +x_0=1000000 +y_0=1000000 +datum=NAD83 +units=m +no_defs',
+};
+
+const MERCATOR = 'EPSG:3857';
+
+const getUtmDefinition = (code) => {
+  // WGS84 UTM north (326xx) and south (327xx)
+  if (code >= 32601 && code <= 32660) return `+proj=utm +zone=${code - 32600} +datum=WGS84 +units=m +no_defs`;
+  if (code >= 32701 && code <= 32760) return `+proj=utm +zone=${code - 32700} +south +datum=WGS84 +units=m +no_defs`;
+  // NAD83 UTM (269xx) and NAD27 UTM (267xx) for North America
+  if (code >= 26901 && code <= 26923) return `+proj=utm +zone=${code - 26900} +datum=NAD83 +units=m +no_defs`;
+  if (code >= 26701 && code <= 26722) return `+proj=utm +zone=${code - 26700} +datum=NAD27 +units=m +no_defs`;
+  return null;
+};
+
+// Reads the EPSG code from ProjectedCSTypeGeoKey, falling back to GeographicTypeGeoKey
+export const getEpsgCode = (geoKeys) => {
+  if (!geoKeys) return null;
+  const { ProjectedCSTypeGeoKey, GeographicTypeGeoKey } = geoKeys;
+  if (ProjectedCSTypeGeoKey && ProjectedCSTypeGeoKey !== USER_DEFINED) return ProjectedCSTypeGeoKey;
+  if (GeographicTypeGeoKey && GeographicTypeGeoKey !== USER_DEFINED) return GeographicTypeGeoKey;
+  return null;
+};
+
+export const getProjDefinition = (code) => {
+  const name = `EPSG:${code}`;
+  if (EXTRA_DEFINITIONS[code]) return EXTRA_DEFINITIONS[code];
+  const utm = getUtmDefinition(code);
+  if (utm) return utm;
+  if (proj4.defs(name)) return name;
+  throw new Error(
+    `Unsupported coordinate reference system ${name}. ` +
+    'Reproject the raster to WGS84 (EPSG:4326), Web Mercator, UTM or CONUS Albers before loading it.'
+  );
+};
+
+// Resolves the CRS of a GeoTIFF image to a proj4 definition
+export const resolveCrs = (image) => {
+  const code = getEpsgCode(image.getGeoKeys());
+
+  if (!code) {
+    const [xmin, ymin, xmax, ymax] = image.getBoundingBox();
+    const looksGeographic = xmin >= -180 && xmax <= 180 && ymin >= -90 && ymax <= 90;
+    if (!looksGeographic) {
+      throw new Error(
+        'The raster has no EPSG code in its GeoKeys and its coordinates are not longitude/latitude, so it cannot be placed on the map.'
+      );
+    }
+    return { code: 4326, definition: 'EPSG:4326' };
+  }
+
+  return { code, definition: getProjDefinition(code) };
+};
+
+// Affine transform, size and CRS of a GeoTIFF image as plain data, so it can
+// travel between the raster workers and the page
+export const getImageGrid = (image) => {
+  const [originX, originY] = image.getOrigin();
+  const [resX, resY] = image.getResolution();
+  return {
+    crs: resolveCrs(image),
+    width: image.getWidth(),
+    height: image.getHeight(),
+    originX,
+    originY,
+    resX,
+    resY,
+  };
+};
+
+// Same extent as `grid` resampled to a width × height grid, e.g. a COG overview
+export const resampleGrid = (grid, width, height) => ({
+  ...grid,
+  width,
+  height,
+  resX: (grid.resX * grid.width) / width,
+  resY: (grid.resY * grid.height) / height,
+});
+
+// The pixel window [x0, y0, x1, y1] of a grid
+export const windowGrid = (grid, [x0, y0, x1, y1]) => ({
+  ...grid,
+  width: x1 - x0,
+  height: y1 - y0,
+  originX: grid.originX + x0 * grid.resX,
+  originY: grid.originY + y0 * grid.resY,
+});
+
+// Describes how a raster grid maps onto the earth: affine transform plus CRS converters
+export const createGeoreference = (grid) => {
+  const { crs } = grid;
+  const georef = {
+    crs,
+    width: grid.width,
+    height: grid.height,
+    originX: grid.originX,
+    originY: grid.originY,
+    resX: grid.resX,
+    resY: grid.resY,
+    toLatLng: proj4(crs.definition, 'EPSG:4326'),
+    toSource: proj4('EPSG:4326', crs.definition),
+    fromMercator: proj4(MERCATOR, crs.definition),
+  };
+
+  georef.bounds = getLatLngBounds(georef);
+  return georef;
+};
+
+// Pixel window of a grid covering a lat/lon box, widened by `padding` (a
+// fraction of its size) and clipped to the grid; null when they do not overlap
+export const getSourceWindow = (georef, [[south, west], [north, east]], padding = 0, samples = 8) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (let i = 0; i <= samples; i++) {
+    const lat = south + ((north - south) * i) / samples;
+    const lng = west + ((east - west) * i) / samples;
+    [[lat, west], [lat, east], [south, lng], [north, lng]].forEach(([pLat, pLng]) => {
+      const { x, y } = latLngToSourcePixel(georef, pLat, pLng);
+      if (!isFinite(x) || !isFinite(y)) return;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    });
+  }
+
+  const padX = (maxX - minX) * padding;
+  const padY = (maxY - minY) * padding;
+  const x0 = Math.max(0, Math.floor(minX - padX));
+  const y0 = Math.max(0, Math.floor(minY - padY));
+  const x1 = Math.min(georef.width, Math.ceil(maxX + padX));
+  const y1 = Math.min(georef.height, Math.ceil(maxY + padY));
+
+  return x1 > x0 && y1 > y0 ? [x0, y0, x1, y1] : null;
+};
+
+// Fractional column/row of a lat/lon in the source grid
+export const latLngToSourcePixel = (georef, lat, lng) => {
+  const [x, y] = georef.toSource.forward([lng, lat]);
+  return {
+    x: (x - georef.originX) / georef.resX,
+    y: (y - georef.originY) / georef.resY,
+  };
+};
+
+export const sourcePixelToLatLng = (georef, col, row) => {
+  const [lng, lat] = georef.toLatLng.forward([
+    georef.originX + col * georef.resX,
+    georef.originY + row * georef.resY,
+  ]);
+  return { lat, lng };
+};
+
+// Projected rasters have curved edges in lat/lon, so sample along every edge
+const getLatLngBounds = (georef, samples = 32) => {
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+
+  const extend = (col, row) => {
+    const { lat, lng } = sourcePixelToLatLng(georef, col, row);
+    if (!isFinite(lat) || !isFinite(lng)) return;
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+    west = Math.min(west, lng);
+    east = Math.max(east, lng);
+  };
+
+  for (let i = 0; i <= samples; i++) {
+    const col = (georef.width * i) / samples;
+    const row = (georef.height * i) / samples;
+    extend(col, 0);
+    extend(col, georef.height);
+    extend(0, row);
+    extend(georef.width, row);
+  }
+
+  if (!isFinite(south) || !isFinite(west)) {
+    throw new Error(`Could not compute lat/lon bounds for EPSG:${georef.crs.code}`);
+  }
+
+  return [[Math.max(south, -85), west], [Math.min(north, 85), east]];
+};
+
+const METERS_PER_DEGREE_LAT = 110574;
+const METERS_PER_DEGREE_LNG = 111320;
+
+// Ground area of one pixel in square metres for every row, measured at the
+// centre column. Works for geographic and projected grids alike because the
+// pixel edges are measured on the ground rather than in CRS units.
+export const getRowPixelAreas = (georef) => {
+  const col = Math.floor(georef.width / 2);
+  const areas = new Float64Array(georef.height);
+
+  for (let row = 0; row < georef.height; row++) {
+    const origin = sourcePixelToLatLng(georef, col, row);
+    const right = sourcePixelToLatLng(georef, col + 1, row);
+    const down = sourcePixelToLatLng(georef, col, row + 1);
+    const cosLat = Math.cos((origin.lat * Math.PI) / 180);
+
+    const ex = (right.lng - origin.lng) * METERS_PER_DEGREE_LNG * cosLat;
+    const ey = (right.lat - origin.lat) * METERS_PER_DEGREE_LAT;
+    const sx = (down.lng - origin.lng) * METERS_PER_DEGREE_LNG * cosLat;
+    const sy = (down.lat - origin.lat) * METERS_PER_DEGREE_LAT;
+    areas[row] = Math.abs(ex * sy - ey * sx);
+  }
+
+  return areas;
+};
+
+// Pixels whose centres lie within `radius` metres of a point, as [col, row]
+// pairs, plus the source window holding them. Without a radius, or when it
+// is smaller than a pixel, that is the pixel under the point. Null when the
+// point is outside the grid.
+export const getPixelsNear = (georef, { lat, lng }, radius = 0) => {
+  const { x, y } = latLngToSourcePixel(georef, lat, lng);
+  const col = Math.floor(x);
+  const row = Math.floor(y);
+  if (!isFinite(x) || !isFinite(y) || col < 0 || row < 0 || col >= georef.width || row >= georef.height) {
+    return null;
+  }
+
+  const pixels = [];
+  let window = [col, row, col + 1, row + 1];
+  if (radius > 0) {
+    const cosLat = Math.cos((lat * Math.PI) / 180);
+    const dLat = radius / METERS_PER_DEGREE_LAT;
+    const dLng = radius / (METERS_PER_DEGREE_LNG * cosLat);
+    window = getSourceWindow(georef, [[lat - dLat, lng - dLng], [lat + dLat, lng + dLng]]) || window;
+
+    const [x0, y0, x1, y1] = window;
+    for (let r = y0; r < y1; r++) {
+      for (let c = x0; c < x1; c++) {
+        const centre = sourcePixelToLatLng(georef, c + 0.5, r + 0.5);
+        const dx = (centre.lng - lng) * METERS_PER_DEGREE_LNG * cosLat;
+        const dy = (centre.lat - lat) * METERS_PER_DEGREE_LAT;
+        if (dx * dx + dy * dy <= radius * radius) pixels.push([c, r]);
+      }
+    }
+  }
+  if (pixels.length === 0) {
+    pixels.push([col, row]);
+    window = [col, row, col + 1, row + 1];
+  }
+
+  return { pixels, window };
+};
+
+// True when two georeferences describe exactly the same pixel grid
+export const isSameGrid = (a, b) =>
+  a.crs.definition === b.crs.definition &&
+  a.width === b.width &&
+  a.height === b.height &&
+  a.originX === b.originX &&
+  a.originY === b.originY &&
+  a.resX === b.resX &&
+  a.resY === b.resY;
+
+// Converts source grid coordinates of `target` pixels into `source` pixel
+// coordinates, going through the two CRSs directly
+export const createGridTransform = (target, source) => {
+  const sameCrs = target.crs.definition === source.crs.definition;
+  const converter = sameCrs ? null : proj4(target.crs.definition, source.crs.definition);
+
+  return (col, row) => {
+    let x = target.originX + col * target.resX;
+    let y = target.originY + row * target.resY;
+    if (converter) [x, y] = converter.forward([x, y]);
+    return {
+      x: (x - source.originX) / source.resX,
+      y: (y - source.originY) / source.resY,
+    };
+  };
+};
@@ -0,0 +1,73 @@
+import { getImageGrid, resampleGrid, windowGrid } from './projection';
+import { extractBand, getBandDescriptions, getNoDataValue } from './rasterUtils';
+import { computeBandStats } from './stretch';
+
+// Overviews decoded for the first view of a streamed raster stay below this size
+const OVERVIEW_MAX_SIZE = 2048;
+
+// The full-resolution image followed by its overviews, finest first. Transparency
+// masks stored next to COG overviews are skipped.
+export const getImageLevels = async (geotiff) => {
+  const count = await geotiff.getImageCount();
+  const images = await Promise.all(Array.from({ length: count }, (_, i) => geotiff.getImage(i)));
+  return images
+    .filter(image => !(image.fileDirectory.NewSubfileType & 4))
+    .sort((a, b) => b.getWidth() - a.getWidth());
+};
+
+// Finest level small enough to be decoded whole
+const getOverviewLevel = (levels) => {
+  const index = levels.findIndex(image => Math.max(image.getWidth(), image.getHeight()) <= OVERVIEW_MAX_SIZE);
+  return index === -1 ? levels.length - 1 : index;
+};
+
+// Decodes one band of a GeoTIFF and its statistics, along with the
+// description of every band of the file. Runs inside the raster
+// workers, so everything returned is plain data: the grid instead of a
+// georeference, and the values as a typed array whose buffer is transferred.
+//
+// Downloaded files are decoded at full resolution. Streamed files (see
+// openGeoTiff) start from an overview of the whole extent; `level` and `window`
+// pick another image level and a pixel window of it. Windows skip `withStats`,
+// as they keep the statistics of the whole raster so the stretch holds still.
+export const decodeRasterBand = async (geotiff, band, {
+  streaming = false,
+  level,
+  window,
+  withStats = true,
+  signal,
+  onProgress = () => {},
+} = {}) => {
+  const levels = await getImageLevels(geotiff);
+  const fullImage = levels[0];
+  const fullGrid = getImageGrid(fullImage);
+
+  const levelIndex = level ?? (streaming ? getOverviewLevel(levels) : 0);
+  const image = levels[levelIndex];
+  const levelGrid = levelIndex === 0 ? fullGrid : resampleGrid(fullGrid, image.getWidth(), image.getHeight());
+
+  const samplesPerPixel = image.getSamplesPerPixel();
+  if (band >= samplesPerPixel) {
+    throw new Error(`band ${band + 1} was requested but the file only has ${samplesPerPixel}`);
+  }
+
+  onProgress({ phase: 'decode' });
+  const rasters = await image.readRasters({ window, interleave: true, signal });
+  const values = extractBand(rasters, samplesPerPixel, band);
+  // Overviews usually lack the nodata tag, the full-resolution image has it
+  const noData = getNoDataValue(fullImage);
+
+  if (withStats) onProgress({ phase: 'stats' });
+  return {
+    values,
+    band,
+    grid: window ? windowGrid(levelGrid, window) : levelGrid,
+    noData,
+    bands: getBandDescriptions(fullImage),
+    stats: withStats ? computeBandStats(values, noData) : null,
+    level: levelIndex,
+    window: window || null,
+    fullGrid,
+    levels: levels.map(l => ({ width: l.getWidth(), height: l.getHeight() })),
+  };
+};
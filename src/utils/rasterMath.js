@@ -0,0 +1,163 @@
+import { isSameGrid, createGridTransform, getRowPixelAreas, getPixelsNear } from './projection';
+import { getPixelInfo, isNoDataValue } from './rasterUtils';
+import { computeBandStats } from './stretch';
+import { isBelowCoherence } from './coherence';
+
+// Band values of a decoded raster with nodata turned into NaN
+const toNaNValues = (raster) => {
+  const values = new Float32Array(raster.values.length);
+  for (let i = 0; i < values.length; i++) {
+    const value = raster.values[i];
+    values[i] = isNoDataValue(value, raster.noData) ? NaN : value;
+  }
+  return values;
+};
+
+// Nearest-neighbour resample of `source` onto the pixel grid of `target`
+export const resampleToGrid = (source, target) => {
+  if (isSameGrid(source.georef, target.georef)) return toNaNValues(source);
+
+  const { width, height } = target.georef;
+  const toSource = createGridTransform(target.georef, source.georef);
+  const values = new Float32Array(width * height).fill(NaN);
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const { x, y } = toSource(col + 0.5, row + 0.5);
+      const srcCol = Math.floor(x);
+      const srcRow = Math.floor(y);
+      if (srcCol < 0 || srcRow < 0 || srcCol >= source.width || srcRow >= source.height) continue;
+      const value = source.values[srcRow * source.width + srcCol];
+      if (!isNoDataValue(value, source.noData)) values[row * width + col] = value;
+    }
+  }
+
+  return values;
+};
+
+// A − B on the grid of A. The result is shaped like a decoded frame so the
+// overlay, legend, popups and stretch work on it unchanged.
+export const differenceRasters = (a, b) => {
+  const aValues = toNaNValues(a);
+  const bValues = resampleToGrid(b, a);
+  const values = new Float32Array(aValues.length);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = aValues[i] - bValues[i];
+  }
+
+  return {
+    ...a,
+    resourceId: `difference:${a.resourceId}:${b.resourceId}`,
+    values,
+    noData: null,
+    stats: computeBandStats(values, null),
+    name: `${a.name} − ${b.name}`,
+  };
+};
+
+// `raster` without the pixels whose coherence is below `threshold`.
+// `coherence` holds a coherence for every pixel of the raster's grid (see
+// resampleToGrid); pixels without one count as unreliable too. The result is
+// tagged with the mask and the share of valid pixels it removed.
+export const maskRaster = (raster, coherence, threshold) => {
+  const values = toNaNValues(raster);
+  let valid = 0;
+  let masked = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (isNaN(values[i])) continue;
+    valid++;
+    if (isBelowCoherence(coherence[i], threshold)) {
+      values[i] = NaN;
+      masked++;
+    }
+  }
+
+  return {
+    ...raster,
+    values,
+    noData: null,
+    stats: raster.stats ? computeBandStats(values, null) : raster.stats,
+    mask: { threshold, coherence, maskedFraction: valid > 0 ? masked / valid : 0 },
+  };
+};
+
+// Mean of the valid pixels at a reference point, or within `radius` metres
+// of it; null when the reference has no data in this raster
+export const getReferenceValue = (raster, { lat, lng, radius }) => {
+  const near = getPixelsNear(raster.georef, { lat, lng }, radius);
+  if (!near) return null;
+
+  let sum = 0;
+  let count = 0;
+  near.pixels.forEach(([col, row]) => {
+    const value = raster.values[row * raster.width + col];
+    if (isNoDataValue(value, raster.noData)) return;
+    sum += value;
+    count++;
+  });
+  return count > 0 ? sum / count : null;
+};
+
+// Value of each of `frames` at a lat/lon (null without data) and its value at
+// the `reference` (see getReferenceValue; 0 without a reference)
+export const readFramesAt = (frames, latlng, reference) => ({
+  values: frames.map((frame) => {
+    const pixel = getPixelInfo(frame, latlng);
+    return pixel && !pixel.isNoData ? pixel.value : null;
+  }),
+  offsets: frames.map(frame => (reference ? getReferenceValue(frame, reference) : 0)),
+});
+
+// Every value relative to the reference, shaped like a decoded frame and
+// tagged with the reference and its value. `offset` overrides the value, so a
+// detail window can line up with its overview. Rasters where the reference
+// has no data come back unchanged.
+export const rereferenceRaster = (raster, reference, offset = getReferenceValue(raster, reference)) => {
+  if (offset === null) return raster;
+
+  const values = toNaNValues(raster);
+  for (let i = 0; i < values.length; i++) {
+    values[i] -= offset;
+  }
+
+  // Shifting every value shifts the statistics with it; the spread is
+  // unchanged. Detail windows carry no statistics.
+  const { stats } = raster;
+  return {
+    ...raster,
+    values,
+    noData: null,
+    stats: !stats || stats.count === 0 ? stats : {
+      ...stats,
+      min: stats.min - offset,
+      max: stats.max - offset,
+      mean: stats.mean - offset,
+      sample: stats.sample.map(value => value - offset),
+    },
+    reference: { ...reference, value: offset },
+  };
+};
+
+// Mean/min/max of the change and the ground area where it exceeds a threshold
+export const summarizeDifference = (raster, threshold) => {
+  const rowAreas = getRowPixelAreas(raster.georef);
+  const limit = Math.abs(threshold);
+  let increaseArea = 0;
+  let decreaseArea = 0;
+  let validArea = 0;
+
+  for (let row = 0; row < raster.height; row++) {
+    const area = rowAreas[row];
+    const offset = row * raster.width;
+    for (let col = 0; col < raster.width; col++) {
+      const value = raster.values[offset + col];
+      if (isNaN(value)) continue;
+      validArea += area;
+      if (value >= limit) increaseArea += area;
+      else if (value <= -limit) decreaseArea += area;
+    }
+  }
+
+  const { mean, min, max, count } = raster.stats;
+  return { mean, min, max, count, validArea, increaseArea, decreaseArea };
+};
@@ -0,0 +1,59 @@
+import L from 'leaflet';
+import { DEFAULT_BASEMAPS } from './mapConstants';
+
+// Tile layer of a basemap definition, or an empty layer for "none"
+export const createBaseLayer = (basemap = DEFAULT_BASEMAPS[0]) => {
+  if (!basemap.url) return L.layerGroup();
+  return L.tileLayer(basemap.url, {
+    attribution: basemap.attribution,
+    maxZoom: basemap.maxZoom ?? 19,
+    ...(basemap.subdomains ? { subdomains: basemap.subdomains } : {}),
+  });
+};
+
+// Pane holding every raster layer, so opacity applies to the rasters as one
+// image rather than to each layer stacked on the next. It sits between the
+// basemap tiles (200) and vector overlays (400) such as markers and AOIs.
+export const RASTER_PANE = 'raster';
+
+// Panes holding raster A (left of the swipe divider) and raster B (right of it)
+export const SWIPE_PANES = { left: 'swipeLeft', right: 'swipeRight' };
+
+// Streamed detail of the visible extent, drawn over the overview of the whole raster
+export const DETAIL_PANE = 'rasterDetail';
+
+export const createRasterPanes = (map) => {
+  const rasterPane = map.createPane(RASTER_PANE);
+  rasterPane.style.zIndex = 350;
+  Object.values(SWIPE_PANES).forEach((name) => {
+    map.createPane(name, rasterPane).style.zIndex = 400;
+  });
+  map.createPane(DETAIL_PANE, rasterPane).style.zIndex = 401;
+};
+
+// Opacity and blending act on the pane, so neither repaints a tile
+export const setRasterOpacity = (map, opacity) => {
+  map.getPane(RASTER_PANE).style.opacity = String(opacity);
+};
+
+export const setRasterBlendMode = (map, blendMode) => {
+  map.getPane(RASTER_PANE).style.mixBlendMode = blendMode === 'normal' ? '' : blendMode;
+};
+
+// Clips both swipe panes at `position` (0–1 of the map width). Panes live in
+// layer coordinates, so the clip rectangle follows the map as it pans.
+export const clipSwipePanes = (map, position) => {
+  const size = map.getSize();
+  const nw = map.containerPointToLayerPoint([0, 0]);
+  const se = map.containerPointToLayerPoint(size);
+  const clipX = nw.x + size.x * position;
+
+  map.getPane(SWIPE_PANES.left).style.clip = `rect(${nw.y}px, ${clipX}px, ${se.y}px, ${nw.x}px)`;
+  map.getPane(SWIPE_PANES.right).style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${clipX}px)`;
+};
+
+export const resetSwipePanes = (map) => {
+  Object.values(SWIPE_PANES).forEach((name) => {
+    map.getPane(name).style.clip = '';
+  });
+};
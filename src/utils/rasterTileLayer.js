@@ -0,0 +1,185 @@
+import L from 'leaflet';
+import { sampleRasterAt } from './rasterUtils';
+import { colorizeTile, compositeTile } from './rasterWorkers';
+
+const TILE_SIZE = 256;
+
+// proj4 is evaluated on this lattice of every tile and interpolated in between
+const LATTICE_STEP = 16;
+
+// Resampled tiles kept for repainting; one tile holds 256 KB of values
+const MAX_CACHED_TILES = 256;
+
+const MERCATOR_HALF_EXTENT = 20037508.342789244;
+
+// Tiles are painted opaque; the raster pane carries the overlay opacity
+const ALPHA = 255;
+
+// Fractional source pixel of every lattice point of a tile
+const buildTileLattice = (georef, coords) => {
+  const size = TILE_SIZE / LATTICE_STEP + 1;
+  const metersPerPixel = (2 * MERCATOR_HALF_EXTENT) / (TILE_SIZE * 2 ** coords.z);
+  const xs = new Float64Array(size * size);
+  const ys = new Float64Array(size * size);
+
+  for (let r = 0; r < size; r++) {
+    const my = MERCATOR_HALF_EXTENT - (coords.y * TILE_SIZE + r * LATTICE_STEP) * metersPerPixel;
+    for (let c = 0; c < size; c++) {
+      const mx = (coords.x * TILE_SIZE + c * LATTICE_STEP) * metersPerPixel - MERCATOR_HALF_EXTENT;
+      const [x, y] = georef.fromMercator.forward([mx, my]);
+      xs[r * size + c] = (x - georef.originX) / georef.resX;
+      ys[r * size + c] = (y - georef.originY) / georef.resY;
+    }
+  }
+
+  return { xs, ys, size };
+};
+
+// Raster values resampled onto the pixels of one map tile, NaN where there is no data
+const sampleTile = (raster, coords, resampling) => {
+  const { xs, ys, size } = buildTileLattice(raster.georef, coords);
+  const samples = new Float32Array(TILE_SIZE * TILE_SIZE).fill(NaN);
+
+  for (let py = 0; py < TILE_SIZE; py++) {
+    const r0 = Math.floor(py / LATTICE_STEP);
+    const fy = (py + 0.5 - r0 * LATTICE_STEP) / LATTICE_STEP;
+
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const c0 = Math.floor(px / LATTICE_STEP);
+      const fx = (px + 0.5 - c0 * LATTICE_STEP) / LATTICE_STEP;
+
+      const i00 = r0 * size + c0;
+      const i10 = i00 + size;
+      const sx = (xs[i00] * (1 - fx) + xs[i00 + 1] * fx) * (1 - fy) + (xs[i10] * (1 - fx) + xs[i10 + 1] * fx) * fy;
+      const sy = (ys[i00] * (1 - fx) + ys[i00 + 1] * fx) * (1 - fy) + (ys[i10] * (1 - fx) + ys[i10 + 1] * fx) * fy;
+
+      samples[py * TILE_SIZE + px] = sampleRasterAt(raster, sx, sy, resampling);
+    }
+  }
+
+  return samples;
+};
+
+const paintTile = (canvas, pixels) => {
+  canvas.getContext('2d').putImageData(new ImageData(pixels, TILE_SIZE, TILE_SIZE), 0, 0);
+};
+
+// Renders a decoded raster as 256 px map tiles on demand. Resampled values are
+// cached per tile, so a new colour scale only repaints the tiles on screen and
+// panning back over a tile costs nothing. Colouring runs in the raster workers.
+const RasterTileLayer = L.GridLayer.extend({
+  options: {
+    pane: 'overlayPane',
+    tileSize: TILE_SIZE,
+    updateWhenZooming: false,
+    resampling: 'nearest',
+  },
+
+  initialize(raster, colorScale, options) {
+    L.GridLayer.prototype.initialize.call(this, {
+      bounds: L.latLngBounds(raster.georef.bounds),
+      ...options,
+    });
+    this._raster = raster;
+    this._colorScale = colorScale;
+    this._samples = new Map();
+    this._paintController = new AbortController();
+  },
+
+  onRemove(map) {
+    this._paintController.abort();
+    this._paintController = new AbortController();
+    L.GridLayer.prototype.onRemove.call(this, map);
+  },
+
+  createTile(coords, done) {
+    const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+    tile.width = TILE_SIZE;
+    tile.height = TILE_SIZE;
+    // A paint cancelled by a colour change is redone by setColorScale
+    this._paint(tile, coords).then(() => done(null, tile), err => done(err.name === 'AbortError' ? null : err, tile));
+    return tile;
+  },
+
+  _paint(tile, coords) {
+    const { signal } = this._paintController;
+    const samples = this._getSamples(coords).slice();
+    return this._colorize(samples, signal).then((pixels) => {
+      if (!signal.aborted) paintTile(tile, pixels);
+    });
+  },
+
+  _sampleTile(coords) {
+    return sampleTile(this._raster, coords, this.options.resampling);
+  },
+
+  _colorize(samples, signal) {
+    return colorizeTile(samples, this._colorScale, ALPHA, { signal });
+  },
+
+  _getSamples(coords) {
+    const key = this._tileCoordsToKey(coords);
+    let samples = this._samples.get(key);
+
+    if (samples) {
+      // Re-insert so the Map's insertion order stays least recently used first
+      this._samples.delete(key);
+    } else {
+      samples = this._sampleTile(coords);
+    }
+    this._samples.set(key, samples);
+
+    if (this._samples.size > MAX_CACHED_TILES) {
+      this._samples.delete(this._samples.keys().next().value);
+    }
+    return samples;
+  },
+
+  setColorScale(colorScale) {
+    if (colorScale === this._colorScale) return this;
+    this._colorScale = colorScale;
+    this._paintController.abort();
+    this._paintController = new AbortController();
+    Object.values(this._tiles || {}).forEach(({ el, coords }) => {
+      this._paint(el, coords).catch((err) => {
+        if (err.name !== 'AbortError') console.error('Error repainting raster tile:', err);
+      });
+    });
+    return this;
+  },
+
+  setResampling(resampling) {
+    if (resampling === this.options.resampling) return this;
+    this.options.resampling = resampling;
+    this._samples.clear();
+    return this.redraw();
+  },
+});
+
+// Red, green and blue from three bands of one grid. Its colour scale is the
+// { min, max } stretch of each channel, set with setColorScale like any other.
+const CompositeTileLayer = RasterTileLayer.extend({
+  initialize(channels, ranges, options) {
+    RasterTileLayer.prototype.initialize.call(this, channels[0], ranges, options);
+    this._channels = channels;
+  },
+
+  _sampleTile(coords) {
+    const size = TILE_SIZE * TILE_SIZE;
+    const samples = new Float32Array(size * this._channels.length);
+    this._channels.forEach((channel, i) => {
+      samples.set(sampleTile(channel, coords, this.options.resampling), i * size);
+    });
+    return samples;
+  },
+
+  _colorize(samples, signal) {
+    return compositeTile(samples, this._colorScale, ALPHA, { signal });
+  },
+});
+
+export const createRasterTileLayer = (raster, colorScale, options) =>
+  new RasterTileLayer(raster, colorScale, options);
+
+export const createCompositeTileLayer = (channels, ranges, options) =>
+  new CompositeTileLayer(channels, ranges, options);
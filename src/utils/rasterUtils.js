@@ -0,0 +1,104 @@
+import { latLngToSourcePixel } from './projection';
+
+// Helpers for working with rasters that have already been decoded by geotiff
+
+// Copies one band out of pixel-interleaved samples
+export const extractBand = (rasters, samplesPerPixel, band = 0) => {
+  if (samplesPerPixel === 1) return rasters;
+  const pixelCount = rasters.length / samplesPerPixel;
+  const values = new Float64Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    values[i] = rasters[i * samplesPerPixel + band];
+  }
+  return values;
+};
+
+// Nodata value from the GDAL_NODATA tag, null without one. The tag is ASCII
+// and usually NUL-terminated ("-9999\0", "nan\0"); geotiff's own reader
+// drops the last character whatever it is. Float32 bands hold the value
+// rounded to float32, so it is compared in that precision.
+export const getNoDataValue = (image) => {
+  const tag = image.fileDirectory.GDAL_NODATA;
+  if (typeof tag !== 'string') return null;
+  const text = tag.replace(/\0/g, '').trim().toLowerCase();
+  if (text === '') return null;
+  if (text === 'nan') return NaN;
+  const value = Number(text);
+  if (Number.isNaN(value)) return null;
+  return image.getSampleFormat() === 3 && image.getBitsPerSample() === 32 ? Math.fround(value) : value;
+};
+
+// Band names GDAL stores in the file's metadata (the band descriptions),
+// null for bands without one. Overviews carry no metadata of their own.
+export const getBandDescriptions = (image) =>
+  Array.from({ length: image.getSamplesPerPixel() }, (_, band) => image.getGDALMetadata(band)?.DESCRIPTION || null);
+
+// "Band 4 (NIR)", numbered from 1 like GDAL
+export const describeBand = (band, descriptions) => {
+  const description = descriptions?.[band];
+  return description ? `Band ${band + 1} (${description})` : `Band ${band + 1}`;
+};
+
+export const isNoDataValue = (value, noData) => {
+  if (value === undefined || value === null || isNaN(value)) return true;
+  return noData !== null && noData !== undefined && value === noData;
+};
+
+// Converts a Leaflet latlng into the row/column of the decoded raster
+export const latLngToPixel = (latlng, raster) => {
+  if (!raster || !latlng) return null;
+  const { x, y } = latLngToSourcePixel(raster.georef, latlng.lat, latlng.lng);
+  const col = Math.floor(x);
+  const row = Math.floor(y);
+  if (!isFinite(x) || !isFinite(y) || col < 0 || row < 0 || col >= raster.width || row >= raster.height) {
+    return null;
+  }
+  return { col, row };
+};
+
+// Looks up the value under a latlng without re-reading the GeoTIFF
+export const getPixelInfo = (raster, latlng) => {
+  const pixel = latLngToPixel(latlng, raster);
+  if (!pixel) return null;
+
+  const value = raster.values[pixel.row * raster.width + pixel.col];
+
+  return {
+    ...pixel,
+    lat: latlng.lat,
+    lng: latlng.lng,
+    band: raster.band,
+    value,
+    isNoData: isNoDataValue(value, raster.noData),
+  };
+};
+
+const valueOrNaN = (raster, col, row) => {
+  const value = raster.values[row * raster.width + col];
+  return isNoDataValue(value, raster.noData) ? NaN : value;
+};
+
+// Value at fractional source pixel coordinates (pixel corners on integers),
+// NaN outside the raster or on nodata. Bilinear interpolates between the four
+// surrounding pixel centres, falling back to the nearest pixel next to nodata
+// so gaps do not bleed.
+export const sampleRasterAt = (raster, sx, sy, resampling = 'nearest') => {
+  const { width, height } = raster;
+  if (!(sx >= 0 && sy >= 0 && sx < width && sy < height)) return NaN;
+  const nearest = valueOrNaN(raster, Math.floor(sx), Math.floor(sy));
+  if (resampling !== 'bilinear') return nearest;
+
+  const x = Math.min(Math.max(sx - 0.5, 0), width - 1);
+  const y = Math.min(Math.max(sy - 0.5, 0), height - 1);
+  const col = Math.floor(x);
+  const row = Math.floor(y);
+  const col1 = Math.min(col + 1, width - 1);
+  const row1 = Math.min(row + 1, height - 1);
+  const tx = x - col;
+  const ty = y - row;
+
+  const interpolated =
+    (valueOrNaN(raster, col, row) * (1 - tx) + valueOrNaN(raster, col1, row) * tx) * (1 - ty) +
+    (valueOrNaN(raster, col, row1) * (1 - tx) + valueOrNaN(raster, col1, row1) * tx) * ty;
+  return isNaN(interpolated) ? nearest : interpolated;
+};
@@ -0,0 +1,144 @@
+import { createWorkerPool } from './workerPool';
+import { createGeoreference, resampleGrid, getSourceWindow } from './projection';
+import { rasterCacheKey } from './dataCache';
+import { readFramesAt } from './rasterMath';
+
+// One worker is left for the page itself
+const POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+// Extra margin read around the view so small pans need no new requests
+const DETAIL_PADDING = 0.25;
+
+const createRasterWorker = () =>
+  new Worker(new URL('../workers/rasterWorker.js', import.meta.url), { type: 'module' });
+
+const pool = createWorkerPool(createRasterWorker, POOL_SIZE);
+
+// Map tiles get a worker of their own, so they are never queued behind
+// decodes (a playback prefetch, a comparison raster) and stay responsive
+const tilePool = createWorkerPool(createRasterWorker, 1);
+
+// Turns a decoded band from a worker into the frame every map tool works on
+const toFrame = (decoded, resource) => ({
+  resourceId: resource?.id,
+  values: decoded.values,
+  band: decoded.band,
+  width: decoded.grid.width,
+  height: decoded.grid.height,
+  georef: createGeoreference(decoded.grid),
+  noData: decoded.noData,
+  // Description of every band of the file, null where GDAL has none
+  bands: decoded.bands,
+  stats: decoded.stats,
+  name: resource?.displayName,
+  level: decoded.level,
+  window: decoded.window,
+  // 'cache', 'network' or 'local'
+  origin: decoded.origin,
+  // What is needed to read finer windows of a streamed file later
+  source: decoded.streaming
+    ? { url: resource.url, levels: decoded.levels, georef: createGeoreference(decoded.fullGrid) }
+    : null,
+});
+
+// Downloads or streams a raster (or reads a local file) and decodes one band
+// off the main thread, unless the band is in the persistent cache already. `onProgress` receives
+// { phase, loaded, total } updates.
+export const loadRasterFrame = async (resource, band, { signal, onProgress } = {}) => {
+  const decoded = await pool.run(
+    'decode',
+    {
+      url: resource.url,
+      file: resource.file,
+      band,
+      cacheKey: resource.file ? null : rasterCacheKey(resource, band),
+    },
+    { signal, onProgress }
+  );
+  return toFrame(decoded, resource);
+};
+
+// `bands` of a remote raster at a lat/lon, as readFramesAt reports them. Read
+// in a worker from full-resolution bands in the persistent cache, else from
+// the tiles under the points of a streamed file; a file that has to be
+// downloaded whole is decoded and cached on the way, so the next point is free.
+export const sampleRasterPoint = (resource, bands, latlng, { reference, signal } = {}) =>
+  pool.run(
+    'sample',
+    {
+      url: resource.url,
+      bands,
+      latlng,
+      reference: reference || null,
+      cacheKeys: bands.map(band => rasterCacheKey(resource, band)),
+    },
+    { signal }
+  );
+
+// The same for any resource. Local files are read from their frames, which
+// `loadFrame` keeps decoded at full resolution.
+export const readPointValues = async (resource, bands, latlng, { reference, signal, loadFrame }) => {
+  if (!resource.file) return sampleRasterPoint(resource, bands, latlng, { reference, signal });
+  const frames = await Promise.all(bands.map(band => loadFrame(resource, { signal, band })));
+  return readFramesAt(frames, latlng, reference);
+};
+
+// Coarsest level that still has at least one pixel per `scale` full-resolution pixels
+const getLevelForScale = (levels, scale) => {
+  let level = 0;
+  levels.forEach(({ width }, index) => {
+    if (levels[0].width / width <= scale) level = index;
+  });
+  return level;
+};
+
+// Image level and padded pixel window that show a lat/lon view at screen
+// resolution, or null when `frame` already has that much detail there.
+// `viewWindow` is the unpadded window, to tell whether a detail frame still
+// covers the view.
+export const getDetailRequest = (frame, viewBounds, viewWidth) => {
+  const { levels, georef: fullGeoref } = frame.source;
+  const fullWindow = getSourceWindow(fullGeoref, viewBounds);
+  if (!fullWindow) return null;
+
+  const level = getLevelForScale(levels, (fullWindow[2] - fullWindow[0]) / viewWidth);
+  if (level >= frame.level) return null;
+
+  const levelGeoref = level === 0
+    ? fullGeoref
+    : createGeoreference(resampleGrid(fullGeoref, levels[level].width, levels[level].height));
+
+  return {
+    level,
+    window: getSourceWindow(levelGeoref, viewBounds, DETAIL_PADDING),
+    viewWindow: getSourceWindow(levelGeoref, viewBounds),
+  };
+};
+
+// Reads the detail described by getDetailRequest from the file behind `frame`
+export const loadDetailFrame = async (frame, { level, window }, signal) => {
+  const decoded = await pool.run(
+    'decode',
+    { url: frame.source.url, band: frame.band, level, window, withStats: false },
+    { signal }
+  );
+  return {
+    ...toFrame({ ...decoded, streaming: true }, { id: frame.resourceId, displayName: frame.name, url: frame.source.url }),
+    stats: frame.stats,
+  };
+};
+
+// RGBA pixels of one composite tile: `samples` holds the red, green and blue
+// channels one after the other, each stretched over its entry of `ranges`.
+// The samples buffer is transferred.
+export const compositeTile = (samples, ranges, alpha, { signal } = {}) =>
+  tilePool.run('composite', { samples, ranges, alpha }, { transfer: [samples.buffer], signal, interruptible: false });
+
+// Colours the resampled values of one map tile in a worker, returning RGBA
+// pixels. The samples buffer is transferred, so pass a copy to keep one.
+export const colorizeTile = (samples, colorScale, alpha, { signal } = {}) =>
+  tilePool.run(
+    'colorize',
+    { samples, settings: colorScale.settings, range: colorScale.range, alpha },
+    { transfer: [samples.buffer], signal, interruptible: false }
+  );
@@ -0,0 +1,102 @@
+import { isNoDataValue } from './rasterUtils';
+
+// Percentiles are read from a sorted sample so huge rasters stay cheap to sort
+const MAX_PERCENTILE_SAMPLE = 1000000;
+
+export const DEFAULT_STRETCH = {
+  method: 'percentile',
+  lowPercentile: 2,
+  highPercentile: 98,
+  stdDevs: 2,
+  min: null,
+  max: null,
+};
+
+// Summary statistics of a single band, ignoring nodata and NaN pixels
+export const computeBandStats = (values, noData) => {
+  let count = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (isNoDataValue(value, noData)) continue;
+    count++;
+    sum += value;
+    sumSquares += value * value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  if (count === 0) {
+    return { count: 0, min: null, max: null, mean: null, std: null, sample: new Float32Array(0) };
+  }
+
+  const mean = sum / count;
+  const std = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+
+  const stride = Math.max(1, Math.ceil(count / MAX_PERCENTILE_SAMPLE));
+  const sample = new Float32Array(Math.ceil(count / stride));
+  let seen = 0;
+  let filled = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (isNoDataValue(value, noData)) continue;
+    if (seen % stride === 0) sample[filled++] = value;
+    seen++;
+  }
+  const sorted = sample.subarray(0, filled).sort();
+
+  return { count, min, max, mean, std, sample: sorted };
+};
+
+export const getPercentile = (sortedSample, percentile) => {
+  if (!sortedSample.length) return null;
+  const position = (Math.max(0, Math.min(100, percentile)) / 100) * (sortedSample.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+  return sortedSample[lower] * (1 - weight) + sortedSample[upper] * weight;
+};
+
+// Half-typed inputs fall back to the defaults instead of producing NaN ranges
+const numberOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+// Turns stretch settings plus band statistics into the min/max used for colouring
+export const computeStretchRange = (stats, stretch) => {
+  if (stretch.method === 'manual') {
+    const min = parseFloat(stretch.min);
+    const max = parseFloat(stretch.max);
+    if (!isNaN(min) && !isNaN(max) && max > min) return { min, max };
+  }
+
+  if (!stats || stats.count === 0) return null;
+
+  let range;
+  switch (stretch.method) {
+    case 'percentile':
+      range = {
+        min: getPercentile(stats.sample, numberOr(stretch.lowPercentile, DEFAULT_STRETCH.lowPercentile)),
+        max: getPercentile(stats.sample, numberOr(stretch.highPercentile, DEFAULT_STRETCH.highPercentile)),
+      };
+      break;
+    case 'stddev': {
+      const stdDevs = numberOr(stretch.stdDevs, DEFAULT_STRETCH.stdDevs);
+      range = {
+        min: Math.max(stats.min, stats.mean - stdDevs * stats.std),
+        max: Math.min(stats.max, stats.mean + stdDevs * stats.std),
+      };
+      break;
+    }
+    default:
+      range = { min: stats.min, max: stats.max };
+  }
+
+  // A constant band would divide by zero when normalising
+  if (range.max <= range.min) {
+    range = { min: range.min - 0.5, max: range.min + 0.5 };
+  }
+  return range;
+};
@@ -0,0 +1,98 @@
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Acquisition dates in file names: 20230415, 2023-04-15 or 2023_04_15
+const FILENAME_DATE = /(?:^|[^0-9])((?:19|20)\d{2})[-_]?(0[1-9]|1[0-2])[-_]?(0[1-9]|[12]\d|3[01])(?![0-9])/;
+
+export const getDateFromFilename = (text) => {
+  const match = FILENAME_DATE.exec(text || '');
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date) ? null : date;
+};
+
+// Resource metadata first, then a date in the file name, then the upload time
+export const getRasterDate = (resource) => {
+  if (resource.created) {
+    const created = new Date(resource.created);
+    if (!isNaN(created)) return created;
+  }
+
+  const fromName = getDateFromFilename(resource.name) ||
+    getDateFromFilename(resource.url?.split('/').pop());
+  if (fromName) return fromName;
+
+  const modified = new Date(resource.last_modified);
+  return isNaN(modified) ? null : modified;
+};
+
+// Oldest first; rasters without any date go last so they stay reachable
+export const sortByRasterDate = (rasters) =>
+  rasters
+    .map(resource => ({ resource, date: getRasterDate(resource) }))
+    .sort((a, b) => {
+      if (!a.date) return b.date ? 1 : 0;
+      if (!b.date) return -1;
+      return a.date - b.date;
+    });
+
+// The candidate acquired closest in time to `resource`, e.g. the coherence
+// raster of the same date; the first candidate when either lacks dates
+export const findNearestByDate = (resource, candidates) => {
+  const date = getRasterDate(resource);
+  if (!date) return candidates[0] || null;
+  let best = candidates[0] || null;
+  let bestGap = Infinity;
+  candidates.forEach((candidate) => {
+    const candidateDate = getRasterDate(candidate);
+    const gap = candidateDate ? Math.abs(candidateDate - date) : Infinity;
+    if (gap < bestGap) {
+      best = candidate;
+      bestGap = gap;
+    }
+  });
+  return best;
+};
+
+// Least-squares straight line through the valid points, slope in units per year
+export const computeLinearTrend = (points) => {
+  const valid = points.filter(point => point.value !== null && point.value !== undefined);
+  if (valid.length < 2) return null;
+
+  const t0 = valid[0].date.getTime();
+  const xs = valid.map(point => (point.date.getTime() - t0) / MS_PER_YEAR);
+  const ys = valid.map(point => point.value);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < xs.length; i++) {
+    numerator += (xs[i] - meanX) * (ys[i] - meanY);
+    denominator += (xs[i] - meanX) ** 2;
+  }
+  if (denominator === 0) return null;
+
+  const slope = numerator / denominator;
+  const intercept = meanY - slope * meanX;
+  return {
+    slope,
+    intercept,
+    valueAt: (date) => intercept + slope * ((date.getTime() - t0) / MS_PER_YEAR),
+  };
+};
+
+// Cumulative change since the first valid epoch plus the linear-trend velocity
+export const summarizeTimeSeries = (points) => {
+  const valid = points.filter(point => point.value !== null && point.value !== undefined);
+  const baseline = valid.length > 0 ? valid[0].value : null;
+
+  return {
+    count: valid.length,
+    cumulative: valid.length > 1 ? valid[valid.length - 1].value - baseline : null,
+    trend: computeLinearTrend(valid),
+    withCumulative: points.map(point => ({
+      ...point,
+      cumulative: point.value === null || point.value === undefined ? null : point.value - baseline,
+    })),
+  };
+};
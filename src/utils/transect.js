@@ -0,0 +1,84 @@
+import { latLngToSourcePixel, sourcePixelToLatLng } from './projection';
+import { sampleRasterAt } from './rasterUtils';
+
+// Transects are GeoJSON LineString features in lon/lat, sampled at even
+// steps along their length
+
+const EARTH_RADIUS = 6378137;
+
+// Upper bound on the samples of one profile; longer lines get a wider step
+export const MAX_PROFILE_SAMPLES = 1000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in metres between two [lng, lat] positions
+const haversine = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export const lineToFeature = (latlngs) => ({
+  type: 'Feature',
+  properties: { shape: 'line' },
+  geometry: { type: 'LineString', coordinates: latlngs.map(({ lat, lng }) => [lng, lat]) },
+});
+
+export const getLineLength = (feature) => {
+  const coords = feature.geometry.coordinates;
+  let length = 0;
+  for (let i = 1; i < coords.length; i++) length += haversine(coords[i - 1], coords[i]);
+  return length;
+};
+
+// Ground size of one raster pixel in metres, taken at the centre of the grid
+export const getPixelSpacing = (georef) => {
+  const col = Math.floor(georef.width / 2);
+  const row = Math.floor(georef.height / 2);
+  const toPosition = ({ lat, lng }) => [lng, lat];
+  const origin = toPosition(sourcePixelToLatLng(georef, col, row));
+  return Math.min(
+    haversine(origin, toPosition(sourcePixelToLatLng(georef, col + 1, row))),
+    haversine(origin, toPosition(sourcePixelToLatLng(georef, col, row + 1)))
+  );
+};
+
+// Points every `spacing` metres from the start of the line, plus its end, as
+// { distance, lat, lng }. Positions are interpolated linearly within each
+// segment, which is close enough for lines drawn on a map.
+export const densifyLine = (feature, spacing) => {
+  const coords = feature.geometry.coordinates;
+  const length = getLineLength(feature);
+  const step = Math.max(spacing, length / MAX_PROFILE_SAMPLES);
+  if (!(step > 0)) return [];
+
+  const samples = [];
+  let segment = 0;
+  let segmentStart = 0;
+  let segmentLength = haversine(coords[0], coords[1]);
+
+  const pushAt = (distance) => {
+    while (segment < coords.length - 2 && distance > segmentStart + segmentLength) {
+      segmentStart += segmentLength;
+      segment += 1;
+      segmentLength = haversine(coords[segment], coords[segment + 1]);
+    }
+    const t = segmentLength > 0 ? Math.min(1, (distance - segmentStart) / segmentLength) : 0;
+    const [lng1, lat1] = coords[segment];
+    const [lng2, lat2] = coords[segment + 1];
+    samples.push({ distance, lat: lat1 + (lat2 - lat1) * t, lng: lng1 + (lng2 - lng1) * t });
+  };
+
+  for (let distance = 0; distance < length; distance += step) pushAt(distance);
+  pushAt(length);
+  return samples;
+};
+
+// Raster values at each sample point, null outside the raster or on nodata
+export const sampleProfile = (raster, samples, resampling) => samples.map(({ lat, lng }) => {
+  const { x, y } = latLngToSourcePixel(raster.georef, lat, lng);
+  const value = sampleRasterAt(raster, x, y, resampling);
+  return isNaN(value) ? null : value;
+});
@@ -0,0 +1,197 @@
+import { blendModes, coherenceMaskSources, colormaps, incidenceSources, stretchOptions, visualizationOptions } from './mapConstants';
+
+// Query parameters holding the view. Anything else in the query string (the
+// data source parameters, ?config=...) is left alone.
+//   raster=<resource id>      product=<visualization>
+//   center=<lat>,<lng>        zoom=<level>
+//   cmap=<name>,<mode>,<classes>[,reversed]
+//   stretch=minmax | percentile,<low>,<high> | stddev,<n> | manual,<min>,<max>
+//   opacity=<0–1>             blend=<CSS blend mode>
+//   basemap=<basemap id>
+//   point=<lat>,<lng>         (pixel popup)
+//   series=<lat>,<lng>        (time series pixel)
+//   ref=<lat>,<lng>[,<radius in metres>]  (reference point or area)
+//   vertical=constant,<degrees> | metadata | raster[,<resource id>]
+//                             (vertical component of line-of-sight products)
+//   mask=<threshold>,raster[,<resource id>] | <threshold>,band,<band number>
+//                             (coherence mask)
+//   band=<band number>        rgb=<red>,<green>,<blue> band numbers (composite)
+const VIEW_PARAMS = [
+  'raster', 'product', 'center', 'zoom', 'cmap', 'stretch', 'opacity', 'blend', 'basemap', 'point', 'series', 'ref',
+  'vertical', 'mask', 'band', 'rgb',
+];
+
+const COORDINATE_DECIMALS = 5;
+
+const parseNumbers = (text) => {
+  const numbers = (text || '').split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  return numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const parseLatLng = (text) => {
+  const numbers = parseNumbers(text);
+  if (!numbers || numbers.length !== 2) return null;
+  const [lat, lng] = numbers;
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+};
+
+const formatLatLng = ({ lat, lng }) =>
+  `${lat.toFixed(COORDINATE_DECIMALS)},${lng.toFixed(COORDINATE_DECIMALS)}`;
+
+const parseReference = (text) => {
+  const numbers = parseNumbers(text);
+  if (!numbers || numbers.length < 2 || numbers.length > 3) return null;
+  const point = parseLatLng(numbers.slice(0, 2).join(','));
+  const radius = numbers[2] ?? 0;
+  return point && radius >= 0 ? { ...point, radius } : null;
+};
+
+const formatReference = (reference) =>
+  `${formatLatLng(reference)}${reference.radius > 0 ? `,${reference.radius}` : ''}`;
+
+const parseVertical = (text) => {
+  if (text === null) return null;
+  const [source, ...rest] = text.split(',');
+  if (!incidenceSources.some(option => option.value === source)) return null;
+  if (source === 'constant') {
+    const angle = Number(rest[0]);
+    return angle > 0 && angle < 90 ? { source, angle } : null;
+  }
+  return { source, rasterId: source === 'raster' && rest.length > 0 ? rest.join(',') : null };
+};
+
+const formatVertical = ({ source, angle, rasterId }) => {
+  if (source === 'constant') return `constant,${angle}`;
+  return source === 'raster' && rasterId ? `raster,${rasterId}` : source;
+};
+
+const parseMask = (text) => {
+  if (text === null) return null;
+  const [thresholdText, source, ...rest] = text.split(',');
+  const threshold = thresholdText.trim() === '' ? NaN : Number(thresholdText);
+  if (!(threshold >= 0 && threshold <= 1)) return null;
+  if (!coherenceMaskSources.some(option => option.value === source)) return null;
+  if (source === 'band') {
+    const band = parseInt(rest[0], 10);
+    return band >= 1 ? { threshold, source, band: band - 1, rasterId: null } : null;
+  }
+  return { threshold, source, band: 0, rasterId: rest.length > 0 ? rest.join(',') : null };
+};
+
+// Bands are numbered from 1 in the URL, as in GDAL
+const formatMask = ({ threshold, source, band, rasterId }) => {
+  if (source === 'band') return `${threshold},band,${band + 1}`;
+  return rasterId ? `${threshold},raster,${rasterId}` : `${threshold},raster`;
+};
+
+// Band numbers count from 1, as in GDAL; band indexes from 0
+const parseBands = (text, count) => {
+  const numbers = parseNumbers(text);
+  if (!numbers || numbers.length !== count || !numbers.every(n => Number.isInteger(n) && n >= 1)) return null;
+  return numbers.map(n => n - 1);
+};
+
+const formatBands = (bands) => bands.map(band => band + 1).join(',');
+
+const parseColormap = (text) => {
+  const [name, mode, classes, reversed] = (text || '').split(',');
+  if (!colormaps[name]) return null;
+  return {
+    name,
+    mode: mode === 'continuous' ? 'continuous' : 'classed',
+    classes: Math.max(2, Math.min(20, parseInt(classes, 10) || 10)),
+    reversed: reversed === 'reversed',
+  };
+};
+
+const formatColormap = ({ name, mode, classes, reversed }) =>
+  [name, mode, classes, ...(reversed ? ['reversed'] : [])].join(',');
+
+const parseStretch = (text) => {
+  const [method, ...rest] = (text || '').split(',');
+  if (!stretchOptions.some(option => option.value === method)) return null;
+  const numbers = rest.length > 0 ? parseNumbers(rest.join(',')) : [];
+  if (!numbers) return null;
+
+  switch (method) {
+    case 'percentile':
+      return numbers.length === 2 ? { method, lowPercentile: numbers[0], highPercentile: numbers[1] } : null;
+    case 'stddev':
+      return numbers.length === 1 ? { method, stdDevs: numbers[0] } : null;
+    case 'manual':
+      return numbers.length === 2 && numbers[1] > numbers[0] ? { method, min: numbers[0], max: numbers[1] } : null;
+    default:
+      return { method };
+  }
+};
+
+const formatStretch = (stretch) => {
+  switch (stretch.method) {
+    case 'percentile':
+      return `percentile,${stretch.lowPercentile},${stretch.highPercentile}`;
+    case 'stddev':
+      return `stddev,${stretch.stdDevs}`;
+    case 'manual':
+      return `manual,${stretch.min},${stretch.max}`;
+    default:
+      return stretch.method;
+  }
+};
+
+// The view encoded in a query string. Missing or malformed parameters come
+// back as null so the caller keeps its own defaults for them.
+export const readViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const product = params.get('product');
+  const zoom = Number(params.get('zoom'));
+  const opacity = parseNumbers(params.get('opacity'));
+  const blend = params.get('blend');
+
+  return {
+    raster: params.get('raster') || null,
+    product: visualizationOptions.some(option => option.value === product) ? product : null,
+    center: parseLatLng(params.get('center')),
+    zoom: params.get('zoom') !== null && Number.isFinite(zoom) ? zoom : null,
+    colormap: parseColormap(params.get('cmap')),
+    stretch: parseStretch(params.get('stretch')),
+    opacity: opacity && opacity.length === 1 ? Math.max(0, Math.min(1, opacity[0])) : null,
+    blendMode: blendModes.some(mode => mode.value === blend) ? blend : null,
+    // Checked against the configured basemaps by the map
+    basemap: params.get('basemap') || null,
+    point: parseLatLng(params.get('point')),
+    series: parseLatLng(params.get('series')),
+    reference: parseReference(params.get('ref')),
+    vertical: parseVertical(params.get('vertical')),
+    mask: parseMask(params.get('mask')),
+    band: parseBands(params.get('band'), 1)?.[0] ?? null,
+    rgb: parseBands(params.get('rgb'), 3),
+  };
+};
+
+// `search` with its view parameters replaced by `view`, as '?...' or ''.
+// Incomplete stretch entries (a number still being typed) are left out.
+export const writeViewState = (search, view) => {
+  const params = new URLSearchParams(search);
+  VIEW_PARAMS.forEach(key => params.delete(key));
+
+  if (view.raster) params.set('raster', view.raster);
+  if (view.product) params.set('product', view.product);
+  if (view.center) params.set('center', formatLatLng(view.center));
+  if (view.zoom !== null && view.zoom !== undefined) params.set('zoom', String(view.zoom));
+  if (view.colormap) params.set('cmap', formatColormap(view.colormap));
+  if (view.stretch && parseStretch(formatStretch(view.stretch))) params.set('stretch', formatStretch(view.stretch));
+  if (view.opacity !== null && view.opacity !== undefined) params.set('opacity', view.opacity.toFixed(2));
+  if (view.blendMode) params.set('blend', view.blendMode);
+  if (view.basemap) params.set('basemap', view.basemap);
+  if (view.point) params.set('point', formatLatLng(view.point));
+  if (view.series) params.set('series', formatLatLng(view.series));
+  if (view.reference) params.set('ref', formatReference(view.reference));
+  if (view.vertical && parseVertical(formatVertical(view.vertical))) params.set('vertical', formatVertical(view.vertical));
+  if (view.mask && parseMask(formatMask(view.mask))) params.set('mask', formatMask(view.mask));
+  if (view.band !== null && view.band !== undefined) params.set('band', formatBands([view.band]));
+  if (view.rgb) params.set('rgb', formatBands(view.rgb));
+
+  // Commas read better than %2C and are legal in a query string
+  const query = params.toString().replace(/%2C/gi, ',');
+  return query ? `?${query}` : '';
+};
@@ -0,0 +1,37 @@
+import { visualizationOptions, DEFAULT_VISUALIZATION, DEFAULT_COLORMAP } from './mapConstants';
+import { DEFAULT_STRETCH } from './stretch';
+
+export const getVisualizationOption = (type) =>
+  visualizationOptions.find(opt => opt.value === type) ||
+  visualizationOptions.find(opt => opt.value === DEFAULT_VISUALIZATION);
+
+// Stretch and colormap a product starts from when it is selected
+export const getVisualizationDefaults = (type) => {
+  const option = getVisualizationOption(type);
+  return {
+    stretch: { ...DEFAULT_STRETCH, ...option.stretch },
+    colormap: { ...DEFAULT_COLORMAP, ...option.colormap },
+  };
+};
+
+// Only the file name of the URL counts: CKAN URLs also hold the package name,
+// which would give every resource of a "...-velocity" package that product
+const getFileName = (url) => (url ? url.split(/[?#]/)[0].split('/').pop() : '');
+
+const getResourceTokens = (resource) =>
+  `${resource.name || ''} ${getFileName(resource.url)}`
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Which product a CKAN resource holds, judged by its keywords
+export const getVisualizationForResource = (resource) => {
+  const tokens = getResourceTokens(resource);
+  const match = visualizationOptions.find(option =>
+    option.resourceKeywords.some(keyword => tokens.includes(keyword))
+  );
+  return match ? match.value : DEFAULT_VISUALIZATION;
+};
+
+export const getRastersForVisualization = (rasters, type) =>
+  rasters.filter(raster => getVisualizationForResource(raster) === type);
@@ -0,0 +1,95 @@
+const abortError = () => new DOMException('The raster job was cancelled', 'AbortError');
+
+// Runs jobs on up to `size` workers created on demand by `createWorker`.
+// Workers answer { id, type: 'progress' | 'result' | 'error' } messages. A job
+// cancelled while queued is dropped; one cancelled while running takes its
+// worker down with it, since decoding cannot be interrupted from outside.
+// Jobs run with `interruptible: false` are short enough to be left to finish
+// instead: their result is dropped and the worker, with whatever it keeps
+// open, stays.
+export const createWorkerPool = (createWorker, size) => {
+  const slots = Array.from({ length: size }, () => ({ worker: null, job: null }));
+  const queue = [];
+  let nextId = 1;
+
+  const settle = (job) => {
+    if (job.signal) job.signal.removeEventListener('abort', job.cancel);
+  };
+
+  const release = (slot) => {
+    slot.job = null;
+    startNext();
+  };
+
+  const spawn = (slot) => {
+    const worker = createWorker();
+
+    worker.onmessage = ({ data }) => {
+      const { job } = slot;
+      if (!job || data.id !== job.id) return;
+
+      if (data.type === 'progress') {
+        if (job.onProgress) job.onProgress(data.progress);
+        return;
+      }
+
+      settle(job);
+      release(slot);
+      if (data.type === 'error') job.reject(new Error(data.message));
+      else job.resolve(data.result);
+    };
+
+    worker.onerror = (event) => {
+      const { job } = slot;
+      worker.terminate();
+      slot.worker = null;
+      if (!job) return;
+      settle(job);
+      release(slot);
+      job.reject(new Error(event.message || 'The raster worker crashed'));
+    };
+
+    return worker;
+  };
+
+  function startNext() {
+    slots.forEach((slot) => {
+      if (slot.job || queue.length === 0) return;
+      const job = queue.shift();
+      if (!slot.worker) slot.worker = spawn(slot);
+      slot.job = job;
+      slot.worker.postMessage({ id: job.id, type: job.type, payload: job.payload }, job.transfer);
+    });
+  }
+
+  const run = (type, payload, { transfer = [], signal, onProgress, interruptible = true } = {}) => {
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    return new Promise((resolve, reject) => {
+      const job = { id: nextId++, type, payload, transfer, signal, onProgress, resolve, reject };
+
+      job.cancel = () => {
+        settle(job);
+        const queued = queue.indexOf(job);
+        if (queued !== -1) {
+          queue.splice(queued, 1);
+        } else {
+          const slot = slots.find(s => s.job === job);
+          // The answer still frees the slot; settling the promise twice is a no-op
+          if (slot && interruptible) {
+            slot.worker.terminate();
+            slot.worker = null;
+            release(slot);
+          }
+        }
+        reject(abortError());
+      };
+
+      if (signal) signal.addEventListener('abort', job.cancel);
+      queue.push(job);
+      startNext();
+    });
+  };
+
+  return { run };
+};
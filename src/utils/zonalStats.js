@@ -0,0 +1,117 @@
+import { getRowPixelAreas, latLngToSourcePixel } from './projection';
+import { isNoDataValue } from './rasterUtils';
+import { getPercentile } from './stretch';
+import { getFeatureArea, getFeatureRings } from './aoi';
+
+export const HISTOGRAM_BINS = 30;
+
+// Column ranges [start, end] of the pixels whose centres fall inside the
+// rings on one raster row, even-odd so holes and separate parts just work
+const getRowSpans = (rings, row, width) => {
+  const y = row + 0.5;
+  const crossings = [];
+  rings.forEach((ring) => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = ring[i];
+      const b = ring[i + 1];
+      if ((a.y <= y) !== (b.y <= y)) {
+        crossings.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+    }
+  });
+  crossings.sort((p, q) => p - q);
+
+  const spans = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    const start = Math.max(0, Math.ceil(crossings[i] - 0.5));
+    const end = Math.min(width - 1, Math.floor(crossings[i + 1] - 0.5));
+    if (end >= start) spans.push([start, end]);
+  }
+  return spans;
+};
+
+// Equal-width histogram of sorted values
+export const computeHistogram = (sorted, bins = HISTOGRAM_BINS) => {
+  if (sorted.length === 0) return null;
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (let i = 0; i < sorted.length; i++) {
+    counts[Math.min(bins - 1, Math.floor((sorted[i] - min) / width))]++;
+  }
+  return { min, max, width, counts };
+};
+
+// Statistics of the raster pixels whose centres lie inside an AOI. The AOI
+// is rasterised in the raster's own pixel grid, so projected rasters need no
+// reprojection. `thresholds` are values (e.g. −5 cm) for which the ground
+// area at or below them is reported.
+export const computeZonalStats = (raster, feature, thresholds = []) => {
+  const { georef, width, height } = raster;
+  const rings = getFeatureRings(feature).map(ring =>
+    ring.map(([lng, lat]) => latLngToSourcePixel(georef, lat, lng))
+  );
+  // A loop rather than Math.min(...ys): imported polygons can have more
+  // vertices than a call takes arguments
+  let minY = Infinity;
+  let maxY = -Infinity;
+  rings.forEach(ring => ring.forEach(({ y }) => {
+    if (!Number.isFinite(y)) return;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }));
+  const rowAreas = getRowPixelAreas(georef);
+
+  const values = [];
+  let pixelCount = 0;
+  let validArea = 0;
+  const belowAreas = thresholds.map(() => 0);
+
+  const firstRow = Math.max(0, Math.floor(minY));
+  const lastRow = Math.min(height - 1, Math.ceil(maxY));
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    const offset = row * width;
+    getRowSpans(rings, row, width).forEach(([start, end]) => {
+      for (let col = start; col <= end; col++) {
+        pixelCount++;
+        const value = raster.values[offset + col];
+        if (isNoDataValue(value, raster.noData)) continue;
+        values.push(value);
+        validArea += rowAreas[row];
+        thresholds.forEach((threshold, i) => {
+          if (value <= threshold) belowAreas[i] += rowAreas[row];
+        });
+      }
+    });
+  }
+
+  const sorted = Float64Array.from(values).sort();
+  const count = sorted.length;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < count; i++) {
+    sum += sorted[i];
+    sumSquares += sorted[i] * sorted[i];
+  }
+  const mean = count ? sum / count : null;
+
+  return {
+    count,
+    pixelCount,
+    mean,
+    median: count ? getPercentile(sorted, 50) : null,
+    min: count ? sorted[0] : null,
+    max: count ? sorted[count - 1] : null,
+    std: count ? Math.sqrt(Math.max(0, sumSquares / count - mean * mean)) : null,
+    area: getFeatureArea(feature),
+    validArea,
+    below: thresholds.map((threshold, i) => ({
+      threshold,
+      area: belowAreas[i],
+      fraction: validArea ? belowAreas[i] / validArea : null,
+    })),
+    histogram: computeHistogram(sorted),
+  };
+};
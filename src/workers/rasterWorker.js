@@ -0,0 +1,154 @@
+import { openGeoTiff, openLocalGeoTiff, samplePointValues, sampleReferenceValue } from '../utils/geotiffLoader';
+import { decodeRasterBand } from '../utils/rasterDecoder';
+import { createGeoreference } from '../utils/projection';
+import { readFramesAt } from '../utils/rasterMath';
+import { createColorScale } from '../utils/colormap';
+import { CACHE_STORES, readCache, writeCache } from '../utils/dataCache';
+
+// Streamed files are kept open so later windows only read new tiles
+const MAX_OPEN_FILES = 4;
+
+// Download progress is forwarded at most this often
+const PROGRESS_INTERVAL = 100;
+
+const openFiles = new Map();
+let lastScale = null;
+
+const openStreamed = async (url, options) => {
+  if (openFiles.has(url)) return openFiles.get(url);
+  const opened = await openGeoTiff(url, options);
+  if (opened.streaming) {
+    openFiles.set(url, opened);
+    if (openFiles.size > MAX_OPEN_FILES) openFiles.delete(openFiles.keys().next().value);
+  }
+  return opened;
+};
+
+// A decoded band as the frame shape readFramesAt works on
+const asFrame = (decoded) => ({
+  ...decoded,
+  width: decoded.grid.width,
+  height: decoded.grid.height,
+  georef: createGeoreference(decoded.grid),
+});
+
+const handlers = {
+  // { url | file, band, level, window, withStats, cacheKey } → decoded band,
+  // values transferred. With a cacheKey the decoded band is read from and saved
+  // to the persistent cache, and `origin` tells which one it came from. A local
+  // `file` is read whole and never cached.
+  async decode({ url, file, band, level, window, withStats, cacheKey }, report) {
+    if (cacheKey) {
+      const cached = await readCache(CACHE_STORES.rasters, cacheKey);
+      if (cached) return { result: { ...cached, origin: 'cache' }, transfer: [cached.values.buffer] };
+    }
+
+    let lastReport = 0;
+    const onDownload = ({ loaded, total }) => {
+      const now = Date.now();
+      if (now - lastReport < PROGRESS_INTERVAL) return;
+      lastReport = now;
+      report({ phase: 'download', loaded, total });
+    };
+
+    report({ phase: 'open' });
+    const { geotiff, streaming } = file
+      ? { geotiff: await openLocalGeoTiff(file), streaming: false }
+      : await openStreamed(url, { onProgress: onDownload });
+    const result = await decodeRasterBand(geotiff, band, {
+      streaming,
+      level,
+      window,
+      withStats,
+      onProgress: report,
+    });
+
+    const decoded = { ...result, streaming };
+    if (cacheKey) {
+      await writeCache(CACHE_STORES.rasters, cacheKey, decoded, decoded.values.byteLength + (decoded.stats?.sample.byteLength || 0));
+    }
+
+    return { result: { ...decoded, origin: file ? 'local' : 'network' }, transfer: [decoded.values.buffer] };
+  },
+
+  // { samples, settings, range, alpha } → RGBA pixels of one map tile
+  colorize({ samples, settings, range, alpha }) {
+    const key = JSON.stringify([settings, range]);
+    if (!lastScale || lastScale.key !== key) {
+      lastScale = { key, scale: createColorScale(settings, range) };
+    }
+    const { scale } = lastScale;
+
+    const pixels = new Uint8ClampedArray(samples.length * 4);
+    for (let i = 0; i < samples.length; i++) {
+      const color = scale.colorFor(samples[i]);
+      if (!color) continue; // Left transparent
+      const j = i * 4;
+      pixels[j] = color[0];
+      pixels[j + 1] = color[1];
+      pixels[j + 2] = color[2];
+      pixels[j + 3] = alpha;
+    }
+
+    return { result: pixels, transfer: [pixels.buffer] };
+  },
+
+  // { url, bands, latlng, reference, cacheKeys } → { values, offsets } of
+  // `bands` at one pixel (see readFramesAt)
+  async sample({ url, bands, latlng, reference, cacheKeys }) {
+    const cached = await Promise.all(cacheKeys.map(key => readCache(CACHE_STORES.rasters, key)));
+    if (cached.every(entry => entry && entry.level === 0 && !entry.window)) {
+      return { result: readFramesAt(cached.map(asFrame), latlng, reference) };
+    }
+
+    const { geotiff, streaming } = await openStreamed(url);
+    if (streaming) {
+      const sample = await samplePointValues(geotiff, latlng, bands);
+      const offsets = reference
+        ? await Promise.all(bands.map(band => sampleReferenceValue(geotiff, reference, band)))
+        : bands.map(() => 0);
+      return { result: { values: sample ? sample.values : bands.map(() => null), offsets } };
+    }
+
+    // Downloaded whole: every band asked for is decoded and cached like a frame
+    const decoded = [];
+    for (const [i, band] of bands.entries()) {
+      const result = { ...await decodeRasterBand(geotiff, band), streaming };
+      await writeCache(CACHE_STORES.rasters, cacheKeys[i], result, result.values.byteLength + (result.stats?.sample.byteLength || 0));
+      decoded.push(result);
+    }
+    return { result: readFramesAt(decoded.map(asFrame), latlng, reference) };
+  },
+
+  // { samples, ranges, alpha } → RGBA pixels of one composite tile. A pixel
+  // missing from any channel is left transparent.
+  composite({ samples, ranges, alpha }) {
+    const count = samples.length / ranges.length;
+    const pixels = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+      const j = i * 4;
+      let valid = true;
+      ranges.forEach(({ min, max }, channel) => {
+        const value = samples[channel * count + i];
+        if (isNaN(value)) valid = false;
+        // Clamped to 0–255 by the array
+        pixels[j + channel] = ((value - min) / (max - min)) * 255;
+      });
+      if (valid) pixels[j + 3] = alpha;
+    }
+
+    return { result: pixels, transfer: [pixels.buffer] };
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+  const report = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    const { result, transfer } = await handlers[type](payload, report);
+    self.postMessage({ id, type: 'result', result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
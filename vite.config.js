@@ -5,4 +5,8 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/sar-visualizer/',
+  // The raster workers load geotiff's decompressors lazily, which needs module workers
+  worker: {
+    format: 'es',
+  },
 })
\ No newline at end of file